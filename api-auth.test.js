@@ -0,0 +1,85 @@
+// api-auth.test.js
+// Boots the server on a spare port and checks that protected routes turn away callers without a token
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function startServer(env) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'printstation-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: path.dirname(new URL(import.meta.url).pathname),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      JOB_STORE_DIR: path.join(dir, 'jobs'),
+      WEBHOOKS_FILE: path.join(dir, 'webhooks.json'),
+      PRINTER_SETTINGS_PATH: path.join(dir, 'printer-settings.json'),
+      ADMIN_API_TOKEN: '',
+      STATUS_API_TOKEN: '',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes(`running on :${port}`)) resolve();
+    });
+    child.stderr.resume();
+    child.on('exit', (code) => reject(new Error(`server exited (${code}) before listening`)));
+  });
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () => new Promise((resolve) => {
+      child.once('exit', () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill('SIGTERM');
+    }),
+  };
+}
+
+const CANCEL_REQUESTS = [
+  ['DELETE', '/api/print/order/o1?void=true'],
+  ['DELETE', '/api/print/some-token?void=true'],
+];
+
+test('cancel routes need the admin token', { timeout: 30_000 }, async (t) => {
+  const server = await startServer({ ADMIN_API_TOKEN: 'admin-secret' });
+  t.after(() => server.stop());
+
+  for (const [method, route] of CANCEL_REQUESTS) {
+    const anonymous = await fetch(server.url + route, { method });
+    assert.equal(anonymous.status, 401, `${method} ${route} without a token`);
+    const wrong = await fetch(server.url + route, { method, headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401, `${method} ${route} with a wrong token`);
+    const admin = await fetch(server.url + route, { method, headers: { Authorization: 'Bearer admin-secret' } });
+    assert.equal(admin.status, 404, `${method} ${route} with the admin token reaches the route`);
+  }
+});
+
+test('cancel routes are off without an admin token configured', { timeout: 30_000 }, async (t) => {
+  const server = await startServer({ STATUS_API_TOKEN: 'status-secret' });
+  t.after(() => server.stop());
+
+  for (const [method, route] of CANCEL_REQUESTS) {
+    const res = await fetch(server.url + route, { method, headers: { Authorization: 'Bearer status-secret' } });
+    assert.equal(res.status, 503, `${method} ${route}`);
+  }
+});
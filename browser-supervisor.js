@@ -0,0 +1,111 @@
+// browser-supervisor.js
+// Keeps one headless Chromium up for rendering. Chromium (especially with --single-process)
+// can crash; when it disconnects the supervisor relaunches it with exponential backoff, so
+// later renders recover on their own instead of failing until the service restarts.
+
+const BACKOFF_MIN_MS = 1_000;
+const BACKOFF_MAX_MS = 60_000;
+const STABLE_AFTER_MS = 60_000; // a browser that stayed up this long resets the backoff
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class BrowserSupervisor {
+  /**
+   * @param {Object} options
+   * @param {Function} options.launch - async () => Browser
+   * @param {Function} options.onDisconnect - called when the browser goes away unexpectedly
+   */
+  constructor({ launch, onDisconnect = () => {} }) {
+    this.launch = launch;
+    this.onDisconnect = onDisconnect;
+    this.browser = null;
+    this.launching = null;
+    this.closing = false;
+    this.delayMs = 0;
+    this.nextLaunchAt = 0;
+    this.launchedAt = null;
+    this.counters = { launches: 0, launchFailures: 0, crashes: 0, restarts: 0 };
+    this.lastCrashAt = null;
+  }
+
+  get connected() {
+    return !!this.browser?.isConnected();
+  }
+
+  backOff() {
+    const stable = this.launchedAt && Date.now() - this.launchedAt > STABLE_AFTER_MS;
+    this.delayMs = stable ? BACKOFF_MIN_MS : Math.min(Math.max(this.delayMs * 2, BACKOFF_MIN_MS), BACKOFF_MAX_MS);
+    this.nextLaunchAt = Date.now() + this.delayMs;
+  }
+
+  /**
+   * The running browser, launching it (after any backoff) if there isn't one
+   * @returns {Promise<Browser>} rejects if the launch fails
+   */
+  get() {
+    if (this.closing) return Promise.reject(new Error('Browser is shutting down'));
+    if (this.connected) return Promise.resolve(this.browser);
+    if (!this.launching) this.launching = this.start().finally(() => { this.launching = null; });
+    return this.launching;
+  }
+
+  async start() {
+    const wait = this.nextLaunchAt - Date.now();
+    if (wait > 0) await sleep(wait);
+    this.counters.launches++;
+    let browser;
+    try {
+      browser = await this.launch();
+    } catch (error) {
+      this.counters.launchFailures++;
+      this.launchedAt = null;
+      this.backOff();
+      console.error(`[browser] Launch failed, next attempt in ${this.delayMs}ms:`, error.message);
+      throw error;
+    }
+    this.browser = browser;
+    this.launchedAt = Date.now();
+    browser.once('disconnected', () => this.handleDisconnect(browser));
+    console.log(`[browser] Chromium launched (launch #${this.counters.launches})`);
+    return browser;
+  }
+
+  handleDisconnect(browser) {
+    if (this.browser !== browser) return;
+    this.browser = null;
+    if (this.closing) return;
+
+    this.counters.crashes++;
+    this.lastCrashAt = Date.now();
+    this.backOff();
+    this.launchedAt = null;
+    console.error(`[browser] Chromium disconnected; relaunching in ${this.delayMs}ms`);
+    this.onDisconnect();
+    // Relaunch now rather than on the next render, so that render finds a warm browser
+    this.get().catch(() => {});
+  }
+
+  /** Kill the browser (e.g. it stopped responding); it's relaunched like after a crash */
+  async restart(reason) {
+    const browser = this.browser;
+    if (!browser) return;
+    this.counters.restarts++;
+    console.warn(`[browser] Restarting Chromium: ${reason}`);
+    browser.process()?.kill('SIGKILL');
+    await browser.close().catch(() => {});
+  }
+
+  async close() {
+    this.closing = true;
+    await this.browser?.close().catch(() => {});
+  }
+
+  stats() {
+    return {
+      connected: this.connected,
+      ...this.counters,
+      lastCrashAt: this.lastCrashAt ? new Date(this.lastCrashAt).toISOString() : null,
+      nextLaunchAt: !this.connected && this.nextLaunchAt > Date.now() ? new Date(this.nextLaunchAt).toISOString() : null,
+    };
+  }
+}
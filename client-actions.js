@@ -0,0 +1,136 @@
+// client-actions.js
+// CloudPRNT clientAction support: the server asks a printer for information
+// (or changes a setting) in a poll response, and the printer answers on its next poll.
+export const CLIENT_ACTIONS = ['GetPollInterval', 'SetPollInterval', 'ClientType', 'ClientVersion', 'Encodings', 'PageInfo'];
+
+// A printer that hasn't answered by then (old firmware, lost response) can be asked again
+const IN_FLIGHT_TIMEOUT_MS = 2 * 60_000;
+
+const pendingBySerial = new Map(); // serial -> [{ request, options, queuedAt }]
+const inFlightBySerial = new Map(); // serial -> [{ request, options, queuedAt, sentAt }]
+const resultsBySerial = new Map(); // serial -> { [request]: { result, receivedAt } }
+
+/**
+ * Check an action before queueing it; throws with the reason if it's invalid
+ * @param {string} request - one of CLIENT_ACTIONS
+ * @param {string} options - e.g. seconds for SetPollInterval
+ */
+export function validateClientAction(request, options = '') {
+  if (!CLIENT_ACTIONS.includes(request)) {
+    throw new Error(`Unknown clientAction: ${request} (expected ${CLIENT_ACTIONS.join(', ')})`);
+  }
+  if (request === 'SetPollInterval' && !(Number(options) > 0)) {
+    throw new Error('SetPollInterval needs options = interval in seconds');
+  }
+}
+
+/**
+ * Queue an action for a printer's next poll
+ * @param {string} serial
+ * @param {string} request - one of CLIENT_ACTIONS
+ * @param {string} options - e.g. seconds for SetPollInterval
+ * @returns {Object} the queued action
+ */
+export function queueClientAction(serial, request, options = '') {
+  validateClientAction(request, options);
+  const s = String(serial).trim();
+  const pending = pendingBySerial.get(s) || [];
+  // One of each request is enough; asking twice before the printer answers gains nothing
+  const existing = pending.find(a => a.request === request);
+  if (existing) {
+    existing.options = String(options ?? '');
+    return existing;
+  }
+  const action = { request, options: String(options ?? ''), queuedAt: new Date().toISOString() };
+  pending.push(action);
+  pendingBySerial.set(s, pending);
+  return action;
+}
+
+// Actions still waiting for an answer; ones past IN_FLIGHT_TIMEOUT_MS are dropped
+function inFlightFor(s) {
+  const cutoff = Date.now() - IN_FLIGHT_TIMEOUT_MS;
+  const inFlight = (inFlightBySerial.get(s) || []).filter(a => Date.parse(a.sentAt) > cutoff);
+  if (inFlight.length) inFlightBySerial.set(s, inFlight);
+  else inFlightBySerial.delete(s);
+  return inFlight;
+}
+
+/**
+ * Queue an action only if we have never had an answer for it (used for auto-discovery)
+ */
+export function queueClientActionOnce(serial, request, options = '') {
+  const s = String(serial).trim();
+  if (resultsBySerial.get(s)?.[request]) return null;
+  if (inFlightFor(s).some(a => a.request === request)) return null;
+  return queueClientAction(s, request, options);
+}
+
+/**
+ * Hand pending actions to the poll response; they stay in flight until answered
+ * @returns {Object[]} [{ request, options }] in CloudPRNT format (empty if nothing pending)
+ */
+export function takeClientActions(serial) {
+  const s = String(serial).trim();
+  const pending = pendingBySerial.get(s) || [];
+  if (!pending.length) return [];
+  pendingBySerial.delete(s);
+  const sentAt = new Date().toISOString();
+  inFlightBySerial.set(s, [...inFlightFor(s), ...pending.map(a => ({ ...a, sentAt }))]);
+  return pending.map(({ request, options }) => ({ request, options }));
+}
+
+// Turn the raw answer into something useful where we know the format
+function parseResult(request, result) {
+  if (request === 'Encodings' && typeof result === 'string') {
+    return result.split(';').map(e => e.trim()).filter(Boolean);
+  }
+  if ((request === 'GetPollInterval' || request === 'SetPollInterval') && result !== '' && !isNaN(Number(result))) {
+    return Number(result);
+  }
+  return result;
+}
+
+/**
+ * Store the printer's answers from a poll body's clientAction array
+ * @param {string} serial
+ * @param {Object[]} clientAction - [{ request, result }]
+ * @returns {string[]} the requests that were answered
+ */
+export function recordClientActionResults(serial, clientAction) {
+  if (!Array.isArray(clientAction) || !clientAction.length) return [];
+  const s = String(serial).trim();
+  const results = resultsBySerial.get(s) || {};
+  const answered = [];
+  for (const entry of clientAction) {
+    const { request, result } = entry || {};
+    if (!request) continue;
+    results[request] = { result: parseResult(request, result), receivedAt: new Date().toISOString() };
+    answered.push(request);
+  }
+  resultsBySerial.set(s, results);
+  inFlightBySerial.set(s, (inFlightBySerial.get(s) || []).filter(a => !answered.includes(a.request)));
+  if (pendingBySerial.has(s)) {
+    pendingBySerial.set(s, pendingBySerial.get(s).filter(a => !answered.includes(a.request)));
+  }
+  return answered;
+}
+
+/**
+ * Latest answer to a request, or null
+ */
+export function getClientActionResult(serial, request) {
+  return resultsBySerial.get(String(serial).trim())?.[request]?.result ?? null;
+}
+
+/**
+ * Everything we know about a printer's clientAction exchange
+ */
+export function getClientInfo(serial) {
+  const s = String(serial).trim();
+  return {
+    pending: pendingBySerial.get(s) || [],
+    inFlight: inFlightFor(s),
+    results: resultsBySerial.get(s) || {},
+  };
+}
@@ -0,0 +1,87 @@
+// cloudprnt-status.js
+// Parses the JSON body a Star printer sends with every CloudPRNT poll
+// (statusCode, printerMAC, ASB status bytes, printingInProgress).
+
+// Star Automatic Status Back (ASB) bits we care about, as [byteIndex, mask].
+// Byte 1 is the header; indexes below are zero-based into the status bytes.
+const ASB_FLAGS = {
+  offline: [1, 0x08],
+  coverOpen: [1, 0x20],
+  mechanicalError: [2, 0x04],
+  cutterError: [2, 0x08],
+  unrecoverableError: [2, 0x20],
+  paperNearEnd: [4, 0x04],
+  paperEmpty: [4, 0x08],
+};
+
+// Conditions that stop a printer from printing; paperNearEnd only warns
+const ERROR_FLAGS = ['offline', 'coverOpen', 'mechanicalError', 'cutterError', 'unrecoverableError', 'paperEmpty'];
+
+/**
+ * Decode the ASB status string, e.g. "23 86 00 00 00 00 00 00 00"
+ * @param {string} status
+ * @returns {Object|null} flag name -> boolean, or null if absent/unparseable
+ */
+export function parseAsbStatus(status) {
+  if (typeof status !== 'string' || !status.trim()) return null;
+  const hex = status.trim();
+  const parts = /\s/.test(hex) ? hex.split(/\s+/) : hex.match(/.{1,2}/g);
+  const bytes = parts.map(p => parseInt(p, 16));
+  if (bytes.some(Number.isNaN)) return null;
+
+  const flags = {};
+  for (const [name, [index, mask]] of Object.entries(ASB_FLAGS)) {
+    flags[name] = ((bytes[index] || 0) & mask) !== 0;
+  }
+  return flags;
+}
+
+/**
+ * Summarize status flags (same names as ASB_FLAGS) into a health value
+ * @param {Object} flags - flag name -> boolean
+ * @returns {{ health: string, problems: string[] }} health is 'ok', 'paper_low' or 'error'
+ */
+export function healthFromFlags(flags = {}) {
+  const problems = Object.keys(flags).filter(name => flags[name]);
+  let health = 'ok';
+  if (ERROR_FLAGS.some(name => flags[name])) health = 'error';
+  else if (flags.paperNearEnd) health = 'paper_low';
+  return { health, problems };
+}
+
+/**
+ * Parse a CloudPRNT poll body into a printer status record
+ * @param {Object} body - parsed JSON poll body (may be empty)
+ * @returns {Object} { statusCode, statusText, printerMAC, printingInProgress, flags, health, problems }
+ *   health is 'ok', 'paper_low' or 'error'; problems lists the flags that are set
+ */
+export function parsePollStatus(body = {}) {
+  const raw = body?.statusCode != null ? String(body.statusCode) : '';
+  let decoded = raw;
+  try {
+    decoded = decodeURIComponent(raw);
+  } catch {
+    // keep the raw value
+  }
+  const code = parseInt(decoded, 10);
+  const statusText = decoded.replace(/^\d+\s*/, '');
+
+  const flags = parseAsbStatus(body?.status) || {};
+  // Some firmware only reports conditions through statusCode
+  if (/paper\s*(low|near)/i.test(statusText)) flags.paperNearEnd = true;
+  if (/paper\s*(empty|out)/i.test(statusText)) flags.paperEmpty = true;
+  if (/cover\s*open/i.test(statusText)) flags.coverOpen = true;
+
+  const { problems, health: flagHealth } = healthFromFlags(flags);
+  const health = code >= 400 ? 'error' : flagHealth;
+
+  return {
+    statusCode: Number.isFinite(code) ? code : null,
+    statusText: statusText || null,
+    printerMAC: body?.printerMAC || null,
+    printingInProgress: body?.printingInProgress === true,
+    flags,
+    health,
+    problems,
+  };
+}
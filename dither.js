@@ -0,0 +1,98 @@
+// dither.js
+// Grayscale -> black/white for the raster pipeline. Text is always cut at a threshold
+// so it stays crisp; regions holding images (logos, photos) can be dithered instead,
+// which keeps their gray levels instead of turning them into solid blobs.
+//
+// Pixels are 8-bit grayscale, one byte each, row by row; 0 = black, 255 = white.
+
+// Error diffusion kernels: [dx, dy, weight]
+const FLOYD_STEINBERG = { divisor: 16, spread: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] };
+// Atkinson only spreads 6/8 of the error, so highlights and shadows stay clean (good for logos)
+const ATKINSON = { divisor: 8, spread: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] };
+
+const BAYER_8 = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21],
+];
+
+function thresholdRegion(pixels, width, { x0, y0, x1, y1 }, level) {
+  for (let y = y0; y < y1; y++) {
+    for (let i = y * width + x0, end = y * width + x1; i < end; i++) pixels[i] = pixels[i] >= level ? 255 : 0;
+  }
+}
+
+function diffuseRegion(pixels, width, { x0, y0, x1, y1 }, { divisor, spread }, level) {
+  const w = x1 - x0;
+  const h = y1 - y0;
+  const values = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) values[y * w + x] = pixels[(y0 + y) * width + x0 + x];
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const old = values[y * w + x];
+      const out = old >= level ? 255 : 0;
+      pixels[(y0 + y) * width + x0 + x] = out;
+      const error = (old - out) / divisor;
+      for (const [dx, dy, weight] of spread) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < w && ny < h) values[ny * w + nx] += error * weight;
+      }
+    }
+  }
+}
+
+function bayerRegion(pixels, width, { x0, y0, x1, y1 }) {
+  for (let y = y0; y < y1; y++) {
+    const row = BAYER_8[y % 8];
+    for (let x = x0; x < x1; x++) {
+      const i = y * width + x;
+      pixels[i] = pixels[i] >= ((row[x % 8] + 0.5) / 64) * 255 ? 255 : 0;
+    }
+  }
+}
+
+export const DITHER_MODES = {
+  threshold: (pixels, width, region, level) => thresholdRegion(pixels, width, region, level),
+  'floyd-steinberg': (pixels, width, region, level) => diffuseRegion(pixels, width, region, FLOYD_STEINBERG, level),
+  atkinson: (pixels, width, region, level) => diffuseRegion(pixels, width, region, ATKINSON, level),
+  bayer: (pixels, width, region) => bayerRegion(pixels, width, region),
+};
+
+/**
+ * Convert grayscale pixels to pure black/white in place
+ * @param {Uint8Array} pixels - width * height grayscale bytes
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {string} options.mode - key of DITHER_MODES, used for the image regions
+ * @param {number} options.threshold - gray level (0-255) at or above which pixels print white
+ *   (text always; image regions too, except with bayer)
+ * @param {Array<{x, y, width, height}>} options.regions - image areas, in pixels
+ * @returns {Uint8Array} pixels
+ */
+export function toMonochrome(pixels, width, height, { mode = 'threshold', threshold = 160, regions = [] } = {}) {
+  const dither = Object.hasOwn(DITHER_MODES, mode) ? DITHER_MODES[mode] : DITHER_MODES.threshold;
+  const clipped = regions
+    .map(r => ({
+      x0: Math.max(0, Math.floor(r.x)),
+      y0: Math.max(0, Math.floor(r.y)),
+      x1: Math.min(width, Math.ceil(r.x + r.width)),
+      y1: Math.min(height, Math.ceil(r.y + r.height)),
+    }))
+    .filter(r => r.x1 > r.x0 && r.y1 > r.y0);
+
+  // Dither the images first, then threshold whatever is still gray (text, rules, borders)
+  if (dither !== DITHER_MODES.threshold) {
+    for (const region of clipped) dither(pixels, width, region, threshold);
+  }
+  thresholdRegion(pixels, width, { x0: 0, y0: 0, x1: width, y1: height }, threshold);
+  return pixels;
+}
@@ -0,0 +1,285 @@
+// escpos-driver.js
+// Push-mode output for ESC/POS (Epson-style) printers on raw TCP, usually port 9100.
+// These printers can't poll CloudPRNT, so the server connects and writes the job itself.
+// Jobs go out either as a raster image of the rendered PNG or as plain ESC/POS text.
+import net from 'net';
+import { pngToRasterRows } from './star-encodings.js';
+import { healthFromFlags } from './cloudprnt-status.js';
+
+export const DEFAULT_PORT = 9100;
+const DEFAULT_COLUMNS = 48; // characters per line on 80mm paper (font A)
+const CONNECT_TIMEOUT_MS = 5_000;
+const SEND_TIMEOUT_MS = 10_000;
+const STATUS_TIMEOUT_MS = 1_000; // not every printer answers DLE EOT on the raw port
+const RASTER_BAND_LINES = 256; // lines per GS v 0 block
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DLE = 0x10;
+const EOT = 0x04;
+
+const INIT = Buffer.from([ESC, 0x40]); // ESC @
+const FEED_AND_CUT = Buffer.from([ESC, 0x64, 0x03, GS, 0x56, 0x42, 0x00]); // ESC d 3, GS V B 0 (partial cut)
+
+// --------------------------
+// Raster mode
+// --------------------------
+
+/**
+ * ESC/POS raster (GS v 0) from a rendered receipt PNG
+ * @param {Buffer} png - rendered receipt (a trailing Star cut command is ignored)
+ * @param {Object} options
+ * @param {boolean} options.cut - feed and cut at the end (default true)
+ * @returns {Promise<Buffer>}
+ */
+export async function encodeEscPosRaster(png, { cut = true } = {}) {
+  const { bytesPerLine, rows } = await pngToRasterRows(png);
+
+  // The Star pipeline pads the bottom with white; don't feed that much blank paper
+  let last = rows.length;
+  while (last > 0 && rows[last - 1].every(b => b === 0)) last--;
+  const printed = rows.slice(0, last);
+
+  const parts = [INIT];
+  for (let y = 0; y < printed.length; y += RASTER_BAND_LINES) {
+    const band = printed.slice(y, y + RASTER_BAND_LINES);
+    parts.push(Buffer.from([
+      GS, 0x76, 0x30, 0x00,
+      bytesPerLine & 0xff, bytesPerLine >> 8,
+      band.length & 0xff, band.length >> 8,
+    ]));
+    parts.push(...band);
+  }
+  if (cut) parts.push(FEED_AND_CUT);
+  return Buffer.concat(parts);
+}
+
+// --------------------------
+// Text mode
+// --------------------------
+
+// The default code page is PC437: fold accents and drop anything else outside ASCII
+function ascii(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+function money(n) {
+  return `$${n.toFixed(2)}`;
+}
+
+function num(value) {
+  return (typeof value === 'number' && !isNaN(value)) ? value : null;
+}
+
+// Small builder so receipts read top to bottom like the HTML/markup templates
+function textReceipt(width) {
+  const parts = [INIT];
+  const cmd = (...bytes) => parts.push(Buffer.from(bytes));
+  const api = {
+    align: (where) => { cmd(ESC, 0x61, { left: 0, centre: 1, right: 2 }[where]); return api; },
+    bold: (on) => { cmd(ESC, 0x45, on ? 1 : 0); return api; },
+    size: (w, h) => { cmd(GS, 0x21, ((w - 1) << 4) | (h - 1)); return api; },
+    line: (text = '') => { parts.push(Buffer.from(`${ascii(text)}\n`, 'latin1')); return api; },
+    rule: () => api.line('-'.repeat(width)),
+    columns: (left, right) => {
+      const l = ascii(left), r = ascii(right);
+      const room = Math.max(1, width - r.length - 1);
+      return api.line(`${l.length > room ? l.slice(0, room) : l.padEnd(room)} ${r}`);
+    },
+    build: ({ cut = true } = {}) => Buffer.concat(cut ? [...parts, FEED_AND_CUT] : parts),
+  };
+  return api;
+}
+
+/**
+ * Customer receipt as ESC/POS text (no images)
+ * @param {Object} order - same shape generateReceiptHTML takes
+ * @param {Object} options
+ * @param {string[]} options.header - branding lines under the restaurant name
+ * @param {string[]} options.footer - closing lines (default "Thank you!")
+ * @param {number} options.columns - characters per line (default 48)
+ * @param {boolean} options.cut - feed and cut at the end (default true)
+ * @returns {Buffer}
+ */
+export function generateReceiptEscPos(order = {}, { header = [], footer = ['Thank you!'], columns = DEFAULT_COLUMNS, cut = true } = {}) {
+  const isPickup = !!order.pickup;
+  const customer = order.customerDetails || {};
+  const items = Array.isArray(order.items) ? order.items : [];
+  const r = textReceipt(columns);
+
+  r.align('centre').size(2, 2).bold(true).line(order.restaurantName || '').bold(false).size(1, 1);
+  for (const text of header) r.line(text);
+  if (!isPickup) r.line(`Pickup Driver: ${order.driverName || ''} - ${order.driverPhone || ''}`);
+  if (isPickup) r.bold(true).line(`Pickup ${customer.name || ''}`).bold(false);
+  if (order.providerName) r.line(`Provider: ${order.providerName}`);
+  if (!isPickup) r.line(`Pickup Time: ${order.estimatePickupTime || ''}`);
+  r.align('left').rule();
+
+  if (!isPickup) {
+    const address = `${customer.name || ''} - ${customer.address || ''}${customer.city ? ', ' + customer.city : ''}, ${customer.state || ''}, ${customer.zip || ''}`;
+    r.align('centre').line('Delivery Address:').bold(true).line(address).bold(false).align('left').rule();
+  }
+
+  for (const item of items) {
+    const quantity = item?.quantity || 1;
+    const price = num(item?.price) ?? 0;
+    const modifierTotal = num(item?.modifierTotal) ?? 0;
+    r.bold(true).columns(`${quantity}x ${item?.name || 'Item'}`, money((price + modifierTotal) * quantity)).bold(false);
+
+    const modifiers = Array.isArray(item?.selectedModifiers) ? item.selectedModifiers : [];
+    for (const mod of modifiers) {
+      const modPrice = num(mod?.modifierPrice) ?? 0;
+      r.columns(`   + ${mod?.modifierName || 'Modifier'}`, modPrice > 0 ? `+${money(modPrice)}` : '');
+    }
+    if (item?.specialInstructions) r.line(`  special instructions: ${item.specialInstructions}`);
+  }
+
+  r.rule();
+  if (!isPickup && num(order.deliveryFee) !== null) r.columns('Delivery Fee', money(order.deliveryFee));
+  if (num(order.serviceFee) !== null) r.columns('Service Fee', money(order.serviceFee));
+  if (num(order.processingFee) !== null) r.columns('Processing Fee', money(order.processingFee));
+  r.rule();
+  r.size(1, 2).bold(true).columns('TOTAL', money(num(order.total) ?? 0)).bold(false).size(1, 1);
+
+  if (!isPickup && order.deliveryInstructions) {
+    r.line(`special delivery instructions: ${order.deliveryInstructions}`);
+  }
+
+  r.align('centre');
+  for (const text of footer) r.line(text);
+  return r.build({ cut });
+}
+
+/**
+ * Kitchen ticket as ESC/POS text (see generateKitchenTicketHTML): no prices
+ * @param {Object} order - same shape generateReceiptHTML takes
+ * @param {Object} options - { columns, cut }
+ * @returns {Buffer}
+ */
+export function generateKitchenTicketEscPos(order = {}, { columns = DEFAULT_COLUMNS, cut = true } = {}) {
+  const orderLabel = order.orderNumber || order.id || order.orderId || '';
+  const customer = order.customerDetails || {};
+  const items = Array.isArray(order.items) ? order.items : [];
+  const time = new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const r = textReceipt(columns);
+
+  r.align('centre').size(3, 3).bold(true).line(`#${orderLabel}`).size(2, 2).line(order.pickup ? 'PICKUP' : 'DELIVERY').bold(false).size(1, 1);
+  if (customer.name) r.bold(true).line(customer.name).bold(false);
+  if (order.providerName) r.line(order.providerName);
+  if (order.estimatePickupTime) r.line(`Pickup Time: ${order.estimatePickupTime}`);
+  r.line(`Printed ${time}`).align('left').line('='.repeat(columns));
+
+  for (const item of items) {
+    r.size(2, 2).bold(true).line(`${item?.quantity || 1}x ${item?.name || 'Item'}`).size(1, 2);
+    const modifiers = Array.isArray(item?.selectedModifiers) ? item.selectedModifiers : [];
+    for (const mod of modifiers) r.line(`   + ${mod?.modifierName || 'Modifier'}`);
+    if (item?.specialInstructions) r.line(`** ${item.specialInstructions} **`);
+    r.bold(false).size(1, 1);
+  }
+
+  r.line('='.repeat(columns));
+  return r.build({ cut });
+}
+
+/**
+ * VOID ticket as ESC/POS text (see generateVoidTicketHTML)
+ * @param {Object} job - { orderNumber, orderId, voidOf, customerName }
+ * @returns {Buffer}
+ */
+export function generateVoidTicketEscPos(job = {}) {
+  const orderLabel = job.orderNumber || job.orderId || job.voidOf || '';
+  const time = new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const r = textReceipt(DEFAULT_COLUMNS);
+  r.align('centre').size(4, 4).bold(true).line('VOID').bold(false);
+  r.size(2, 2).line(`Order #${orderLabel}`).size(1, 1);
+  if (job.customerName) r.line(job.customerName);
+  r.line(`Cancelled at ${time} - do not prepare`);
+  return r.build();
+}
+
+// --------------------------
+// Transport
+// --------------------------
+
+function connect({ host, port = DEFAULT_PORT }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Connect to ${host}:${port} timed out`));
+    }, CONNECT_TIMEOUT_MS);
+    socket.once('connect', () => { clearTimeout(timer); resolve(socket); });
+    socket.once('error', (err) => { clearTimeout(timer); reject(err); });
+  });
+}
+
+// Real-time status (DLE EOT n): one byte back per request
+const STATUS_BITS = {
+  offline: [0, 0x08], // n=1 printer status
+  coverOpen: [1, 0x04], // n=2 offline cause
+  mechanicalError: [2, 0x04], // n=3 error cause
+  cutterError: [2, 0x08],
+  unrecoverableError: [2, 0x20],
+  paperNearEnd: [3, 0x0c], // n=4 roll paper sensor
+  paperEmpty: [3, 0x60],
+};
+
+/**
+ * Ask the printer for its real-time status.
+ * @param {Object} printer - { host, port }
+ * @returns {Promise<Object|null>} { flags, health, problems } like parsePollStatus,
+ *   or null if the printer took the connection but didn't answer
+ * @throws if the printer can't be reached at all
+ */
+export async function queryEscPosStatus(printer) {
+  const socket = await connect(printer);
+  return new Promise((resolve) => {
+    let reply = Buffer.alloc(0);
+    const finish = (bytes) => {
+      clearTimeout(timer);
+      socket.destroy();
+      if (!bytes) return resolve(null);
+      const flags = {};
+      for (const [name, [index, mask]] of Object.entries(STATUS_BITS)) {
+        flags[name] = (bytes[index] & mask) !== 0;
+      }
+      resolve({ statusCode: null, statusText: null, flags, ...healthFromFlags(flags) });
+    };
+    const timer = setTimeout(() => finish(null), STATUS_TIMEOUT_MS);
+    socket.on('data', (chunk) => {
+      reply = Buffer.concat([reply, chunk]);
+      if (reply.length >= 4) finish(reply);
+    });
+    socket.on('error', () => finish(null));
+    socket.write(Buffer.from([DLE, EOT, 1, DLE, EOT, 2, DLE, EOT, 3, DLE, EOT, 4]));
+  });
+}
+
+/**
+ * Write a job to the printer and wait for the connection to close cleanly.
+ * @param {Object} printer - { host, port }
+ * @param {Buffer} data - ESC/POS bytes
+ * @returns {Promise<void>}
+ */
+export async function sendEscPos(printer, data) {
+  const socket = await connect(printer);
+  return new Promise((resolve, reject) => {
+    let flushed = false;
+    // Printers normally close once they've read everything; if one holds the
+    // connection open, a fully flushed write still counts as delivered
+    const timer = setTimeout(() => {
+      if (flushed) { socket.destroy(); return resolve(); }
+      socket.destroy(new Error(`Send to ${printer.host}:${printer.port || DEFAULT_PORT} timed out`));
+    }, SEND_TIMEOUT_MS);
+    socket.once('error', (err) => { clearTimeout(timer); reject(err); });
+    socket.once('close', (hadError) => { clearTimeout(timer); if (!hadError) resolve(); });
+    socket.end(data, () => { flushed = true; });
+  });
+}
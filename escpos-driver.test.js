@@ -0,0 +1,84 @@
+// escpos-driver.test.js
+// Talks to a local TCP stub standing in for an ESC/POS printer on its raw port
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import sharp from 'sharp';
+import { encodeEscPosRaster, queryEscPosStatus, sendEscPos } from './escpos-driver.js';
+
+const STATUS_REQUEST = Buffer.from([0x10, 0x04, 1, 0x10, 0x04, 2, 0x10, 0x04, 3, 0x10, 0x04, 4]);
+
+// Starts a stub printer; onData(bytes, socket) runs on every chunk with everything the connection sent so far
+async function stubPrinter(onData = () => {}) {
+  const connections = [];
+  const server = net.createServer((socket) => {
+    const connection = { bytes: Buffer.alloc(0) };
+    connections.push(connection);
+    socket.on('data', (chunk) => {
+      connection.bytes = Buffer.concat([connection.bytes, chunk]);
+      onData(connection.bytes, socket);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    printer: { host: '127.0.0.1', port: server.address().port },
+    received: () => connections.map(connection => connection.bytes),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// 16x4 receipt: left half of row 0 and right half of row 1 black, rows 2-3 white
+function receiptPng() {
+  const pixels = Buffer.alloc(16 * 4, 255);
+  pixels.fill(0, 0, 8);
+  pixels.fill(0, 24, 32);
+  return sharp(pixels, { raw: { width: 16, height: 4, channels: 1 } }).png().toBuffer();
+}
+
+test('raster job goes out as GS v 0 with the trailing white rows trimmed', async (t) => {
+  const stub = await stubPrinter();
+  t.after(stub.close);
+
+  const data = await encodeEscPosRaster(await receiptPng());
+  await sendEscPos(stub.printer, data);
+
+  assert.deepEqual(stub.received(), [data]);
+  assert.deepEqual([...data], [
+    0x1b, 0x40, // ESC @
+    0x1d, 0x76, 0x30, 0x00, 2, 0, 2, 0, // GS v 0, 2 bytes x 2 lines
+    0xff, 0x00,
+    0x00, 0xff,
+    0x1b, 0x64, 0x03, 0x1d, 0x56, 0x42, 0x00, // feed and partial cut
+  ]);
+});
+
+test('DLE EOT reply is decoded into health and problems', async (t) => {
+  const replies = [
+    [[0x16, 0x12, 0x12, 0x12], 'ok', []],
+    [[0x16, 0x12, 0x12, 0x1e], 'paper_low', ['paperNearEnd']],
+    [[0x1e, 0x16, 0x12, 0x72], 'error', ['offline', 'coverOpen', 'paperEmpty']],
+  ];
+  for (const [reply, health, problems] of replies) {
+    const stub = await stubPrinter((bytes, socket) => {
+      if (bytes.length === STATUS_REQUEST.length) socket.write(Buffer.from(reply));
+    });
+    t.after(stub.close);
+
+    const status = await queryEscPosStatus(stub.printer);
+    assert.equal(status.health, health);
+    assert.deepEqual(status.problems, problems);
+    assert.deepEqual(stub.received(), [STATUS_REQUEST]);
+  }
+});
+
+test('printer that never answers DLE EOT reports no status', async (t) => {
+  const stub = await stubPrinter();
+  t.after(stub.close);
+  assert.equal(await queryEscPosStatus(stub.printer), null);
+});
+
+test('unreachable printer rejects', async () => {
+  const stub = await stubPrinter();
+  await stub.close();
+  await assert.rejects(queryEscPosStatus(stub.printer));
+});
@@ -0,0 +1,80 @@
+// event-stream.js
+// In-process event bus for job and printer events, with a replay buffer
+// so Server-Sent Events clients can resume from their last event ID.
+import { EventEmitter } from 'events';
+
+const MAX_BUFFERED_EVENTS = 1000;
+
+// Event IDs are "<boot>.<seq>" so a client reconnecting after a restart
+// can tell its Last-Event-ID belongs to a previous process.
+const BOOT_ID = Date.now().toString(36);
+let seq = 0;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per connected dashboard
+const buffer = [];
+
+/**
+ * Publish an event to every subscriber and keep it for replay
+ * @param {string} type - e.g. 'job.offered', 'printer.online'
+ * @param {Object} data - payload; restaurantId / serial / environment are used for filtering
+ * @returns {Object} the published event
+ */
+export function publishEvent(type, data = {}) {
+  const event = {
+    id: `${BOOT_ID}.${++seq}`,
+    type,
+    timestamp: new Date().toISOString(),
+    data,
+  };
+  buffer.push(event);
+  if (buffer.length > MAX_BUFFERED_EVENTS) buffer.shift();
+  bus.emit('event', event);
+  return event;
+}
+
+/**
+ * Listen for new events
+ * @param {Function} listener - called with each event
+ * @returns {Function} unsubscribe
+ */
+export function subscribeEvents(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+/**
+ * Buffered events published after the given ID.
+ * An ID from another boot (or one that fell out of the buffer) replays everything we still have.
+ * @param {string} lastEventId
+ */
+export function eventsSince(lastEventId) {
+  const [boot, n] = String(lastEventId || '').split('.');
+  if (boot !== BOOT_ID) return [...buffer];
+  const after = Number(n) || 0;
+  return buffer.filter(e => Number(e.id.split('.')[1]) > after);
+}
+
+/**
+ * Build a predicate from query filters. Each filter may be a comma-separated list.
+ * A job event no printer has taken yet matches a serial through the restaurants that printer serves.
+ * @param {Object} filters - { restaurantId, serial, environment }
+ * @param {Object} options - { restaurantsForSerial: (serial) => restaurantId[] }
+ */
+export function eventFilter({ restaurantId, serial, environment } = {}, { restaurantsForSerial = () => [] } = {}) {
+  const list = (v) => (v ? String(v).split(',').map(s => s.trim()).filter(Boolean) : null);
+  const rids = list(restaurantId);
+  const serials = list(serial);
+  const envs = list(environment);
+
+  const hits = (wanted, ...values) => !wanted || values.flat().some(v => v != null && wanted.includes(String(v)));
+
+  return (event) => {
+    const d = event.data || {};
+    const printer = d.serial || d.servedBy;
+    const servedRids = !printer && serials && d.restaurantId ? serials.flatMap(restaurantsForSerial) : null;
+    return hits(rids, d.restaurantId, d.restaurants || [])
+      && (printer ? hits(serials, d.serial, d.servedBy) : !serials || !!servedRids?.includes(d.restaurantId))
+      && hits(envs, d.environment, d.environments || []);
+  };
+}
@@ -4,11 +4,27 @@ import https from "https";
 import express from "express";
 import puppeteer from "puppeteer";
 import fs from "fs";
+import crypto from "crypto";
 import sharp from "sharp";
 import { performance } from "perf_hooks"; // ← timing
 import cors from "cors";
 import { fetchPrinterConfigFromDynamoDB, FALLBACK_PRINTER_CONFIG, getEnvironmentFromOrigin } from "./dynamodb-config.js";
 import { logSuccess, logError } from "./print-logger.js";
+import { loadJobs, saveJob, saveJobContent, deleteJob, saveIdempotencyKey, loadIdempotencyKeys } from "./job-store.js";
+import { publishEvent, subscribeEvents, eventsSince, eventFilter } from "./event-stream.js";
+import { reloadSettings, getSettings, resolvePaper } from "./printer-settings.js";
+import { validateClientAction, queueClientAction, queueClientActionOnce, takeClientActions, recordClientActionResults, getClientInfo } from "./client-actions.js";
+import { MEDIA_TYPES, availableMediaTypes, negotiateMediaTypes } from "./star-encodings.js";
+import { generateReceiptMarkup, generateKitchenTicketMarkup, generateVoidTicketMarkup } from "./star-markup.js";
+import { generateReceiptEscPos, generateKitchenTicketEscPos, generateVoidTicketEscPos } from "./escpos-driver.js";
+import { validateOrder } from "./order-schema.js";
+import { DITHER_MODES, toMonochrome } from "./dither.js";
+import { BrowserSupervisor } from "./browser-supervisor.js";
+import { PagePool } from "./page-pool.js";
+import { RenderCache } from "./render-cache.js";
+import { loadBranding, receiptView, renderTemplate, validateTemplate, imageDataUri, escapeHtml } from "./receipt-templates.js";
+import { getTransport } from "./transports.js";
+import { loadWebhooks, listWebhooks, addWebhook, removeWebhook, getWebhookDeliveries, dispatchWebhook } from "./webhooks.js";
 
 // allow your local dev origins
 const ALLOWED_ORIGINS = [
@@ -118,8 +134,8 @@ app.use(cors({
     console.warn(`CORS rejected origin: ${origin}`);
     return cb(null, false);
   },
-  methods: ["GET", "POST", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "X-Requested-With", "X-Star-Serial-Number", "X-Environment"],
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "X-Requested-With", "X-Star-Serial-Number", "X-Environment", "Idempotency-Key", "Last-Event-ID", "Authorization"],
   credentials: false, // set true only if you actually send cookies/auth
 }));
 
@@ -171,40 +187,137 @@ function getPrintHistory(serial) {
 }
 
 // --------------------------
-// In-memory Job Store
+// Job Store (in-memory index, persisted by job-store.js)
 // --------------------------
 function makeId() {
   return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 }
 const jobsByRestaurant = new Map(); // restaurantId -> Job[]
 const jobIndex = new Map(); // token -> { restaurantId, job }
+const finishedJobs = new Map(); // token -> Job (no content), kept for status lookups
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000; // how long finished jobs stay queryable
+
+/**
+ * Job lifecycle: rendering -> queued -> offered -> sent -> done
+ * with failed (render error) and requeued (printer error / timeout) on the side.
+ * Every transition goes through here so timestamps and persistence stay in sync.
+ */
+function setJobStatus(job, status, patch = {}) {
+  job.status = status;
+  job.timestamps = { ...job.timestamps, [status]: Date.now() };
+  Object.assign(job, patch);
+  saveJob(job);
+  publishEvent(JOB_EVENT_TYPES[status] || `job.${status}`, { ...toPublicJob(job), environment: job.environment });
+}
+
+const JOB_EVENT_TYPES = {
+  rendering: "job.created",
+  queued: "job.render_ready",
+  offered: "job.offered",
+  sent: "job.sent",
+  done: "job.completed",
+  failed: "job.failed",
+  requeued: "job.requeued",
+  dead_letter: "job.dead_lettered",
+  discarded: "job.discarded",
+  cancelled: "job.cancelled",
+  expired: "job.expired",
+};
+
+const MAX_PRINT_ATTEMPTS = Number(process.env.MAX_PRINT_ATTEMPTS || 5);
+
+// Rendered = a PNG from the HTML pipeline, Star markup, or ESC/POS text from the native renderers
+function hasRenderedContent(job) {
+  return !!(job.content || job.markup || job.escposText);
+}
+
+function isReadyToOffer(job) {
+  return (job.status === "queued" || job.status === "requeued") && hasRenderedContent(job) && !isScheduledLater(job);
+}
+
+// --------------------------
+// Scheduled printing (pre-orders)
+// --------------------------
+
+// Scheduled jobs render right away but stay hidden from polling until printAt
+function isScheduledLater(job, now = Date.now()) {
+  return !!job.printAt && job.printAt > now;
+}
+
+// When a job became printable: its printAt if scheduled, otherwise when it was created
+function dueAt(job) {
+  return Math.max(job.createdAt || 0, job.printAt || 0);
+}
+
+/**
+ * Work out when to print from { printAt } (ISO string or epoch ms) or
+ * { printBeforePickupMinutes } relative to order.estimatePickupTime.
+ * @returns {{ printAt: number|null } | { error: string }}
+ */
+function resolvePrintAt({ printAt, printBeforePickupMinutes } = {}, order = {}) {
+  if (printAt != null && printAt !== "") {
+    const ms = typeof printAt === "number" ? printAt : Date.parse(printAt);
+    if (!Number.isFinite(ms)) return { error: `Invalid printAt: ${printAt}` };
+    return { printAt: ms > Date.now() ? ms : null };
+  }
+  if (printBeforePickupMinutes != null) {
+    const minutes = Number(printBeforePickupMinutes);
+    if (!Number.isFinite(minutes)) return { error: `Invalid printBeforePickupMinutes: ${printBeforePickupMinutes}` };
+    const pickup = Date.parse(order?.estimatePickupTime);
+    if (!Number.isFinite(pickup)) return { error: "printBeforePickupMinutes needs order.estimatePickupTime to be a date/time" };
+    const ms = pickup - minutes * 60_000;
+    return { printAt: ms > Date.now() ? ms : null };
+  }
+  return { printAt: null };
+}
 
 function queueFor(restaurantId) {
   if (!jobsByRestaurant.has(restaurantId)) jobsByRestaurant.set(restaurantId, []);
   return jobsByRestaurant.get(restaurantId);
 }
 
+function addJob(job) {
+  queueFor(job.restaurantId).push(job);
+  jobIndex.set(job.id, { restaurantId: job.restaurantId, job });
+  saveJob(job);
+}
+
+// Higher serves first. Waiting PRIORITY_AGING_MS bumps a job one level so bulk jobs can't starve.
+const PRIORITY_LEVELS = { rush: 2, normal: 1, bulk: 0 };
+const PRIORITY_AGING_MS = Number(process.env.PRIORITY_AGING_MS || 2 * 60_000);
+
+function effectivePriority(job, now = Date.now()) {
+  const base = Object.hasOwn(PRIORITY_LEVELS, job.priority) ? PRIORITY_LEVELS[job.priority] : PRIORITY_LEVELS.normal;
+  const waited = Math.max(0, now - (dueAt(job) || now));
+  return base + waited / PRIORITY_AGING_MS;
+}
+
 function nextJobForSerial(serial) {
   const s = String(serial).trim();
   const lists = serialToRestaurantList.get(s);
   if (!lists || lists.length === 0) return null;
 
-  // advance RR pointer
+  // Best effective priority across every queue this serial serves.
+  // Queues are visited from the RR pointer, so exact ties still rotate between restaurants.
+  const now = Date.now();
   const start = serialRR.get(s) ?? 0;
+  let best = null, bestIdx = -1, bestScore = -Infinity;
   for (let i = 0; i < lists.length; i++) {
     const idx = (start + i) % lists.length;
     const rid = lists[idx];
     const q = queueFor(rid);
+    expireStaleJobs(q);
 
-    // pick first job that is ready to offer: queued + has content
-    const job = q.find(j => j.status === "queued" && j.content);
-    if (job) {
-      serialRR.set(s, (idx + 1) % lists.length);
-      return job;
+    // only jobs that are ready to offer: queued/requeued + has rendered content
+    for (const job of q) {
+      if (!isReadyToOffer(job)) continue;
+      const score = effectivePriority(job, now);
+      if (score > bestScore) { best = job; bestScore = score; bestIdx = idx; }
     }
   }
   // no ready job found; keep pointer
-  return null;
+  if (best) serialRR.set(s, (bestIdx + 1) % lists.length);
+  return best;
 }
 
 function removeJob(token) {
@@ -215,38 +328,412 @@ function removeJob(token) {
   const idx = q.findIndex((j) => j.id === job.id);
   if (idx >= 0) q.splice(idx, 1);
   jobIndex.delete(token);
+  deleteJob(token);
+
+  // Keep a content-free copy around so callers can still ask what happened
+  const { content, formats, ...finished } = job;
+  finishedJobs.set(token, finished);
 }
 
-function requeueToken(token) {
+const MAX_RECORDED_FAILURES = 20; // an offline printer can rack up offer timeouts for a long time
+
+/**
+ * Put a job back in line after a failed attempt, recording why.
+ * Once a job has failed MAX_PRINT_ATTEMPTS times it goes to the dead-letter state instead.
+ * Failures where the printer never got the job (an offer it didn't take up) are recorded but
+ * aren't attempts: such a job waits for the printer, and its TTL decides when to give up.
+ * @param {string} token
+ * @param {Object} failure - { reason, code, serial }
+ * @param {Object} options - { attempt: false } if the printer never received the job
+ */
+function requeueToken(token, failure = {}, { attempt = true } = {}) {
   const ref = jobIndex.get(token);
   if (!ref) return;
-  ref.job.status = "queued";
-  ref.job.offeredAt = null;
-  ref.job.sentAt = null;
+  const job = ref.job;
+  const retryCount = (job.retryCount || 0) + (attempt ? 1 : 0);
+  const failures = [
+    ...(job.failures || []),
+    { at: new Date().toISOString(), reason: failure.reason || "unknown", code: failure.code || null, serial: failure.serial || job.servedBy || null },
+  ].slice(-MAX_RECORDED_FAILURES);
+
+  if (attempt && retryCount >= MAX_PRINT_ATTEMPTS) {
+    setJobStatus(job, "dead_letter", { offeredAt: null, sentAt: null, retryCount, failures });
+    console.warn("[dead-letter]", { token, rid: job.restaurantId, attempts: retryCount });
+
+    // LOG: Job gave up after too many attempts
+    logError({
+      orderId: job.orderId || job.id,
+      restaurantId: job.restaurantId,
+      printerSerial: job.servedBy || null,
+      stage: 'DEAD_LETTER',
+      message: `✗ Print abandoned after ${retryCount} failed attempts (last: ${failure.reason || 'unknown'})`,
+      error: new Error(`Exceeded ${MAX_PRINT_ATTEMPTS} print attempts`),
+      customerName: job.customerName,
+      orderNumber: job.orderNumber,
+      retryCount,
+      metadata: { jobId: job.id, failures },
+    }, job.environment || 'production').catch(err => console.error('[log-error]', err));
+    return;
+  }
+
+  setJobStatus(job, "requeued", { offeredAt: null, sentAt: null, retryCount, failures });
+}
+
+// --------------------------
+// Job expiry (stale orders never print)
+// --------------------------
+const EXPIRABLE_STATUSES = new Set(["rendering", "queued", "requeued", "failed"]);
+
+function jobTtlMs(job) {
+  const { jobTtlMinutes } = getSettings({ environment: job.environment, restaurantId: job.restaurantId });
+  return Number(jobTtlMinutes) > 0 ? Number(jobTtlMinutes) * 60_000 : 0;
+}
+
+function isExpired(job, now = Date.now()) {
+  if (!EXPIRABLE_STATUSES.has(job.status) || !job.createdAt) return false;
+  const ttl = jobTtlMs(job);
+  return ttl > 0 && now - dueAt(job) > ttl;
+}
+
+function expireJob(job) {
+  const ageMs = Date.now() - dueAt(job);
+  setJobStatus(job, "expired");
+  removeJob(job.id);
+  console.warn("[expired]", { token: job.id, rid: job.restaurantId, ageMs });
+
+  // LOG: Job expired before it could print
+  logError({
+    orderId: job.orderId || job.id,
+    restaurantId: job.restaurantId,
+    stage: 'JOB_EXPIRED',
+    message: `⌛ Print job expired after ${Math.round(ageMs / 60_000)} min without printing (printer may have been offline)`,
+    error: new Error('Job TTL exceeded'),
+    customerName: job.customerName,
+    orderNumber: job.orderNumber,
+    retryCount: job.retryCount || 0,
+    metadata: { jobId: job.id, ageMs, ttlMs: jobTtlMs(job) },
+  }, job.environment || 'production').catch(err => console.error('[log-error]', err));
+}
+
+// Collect first, then expire: expireJob splices the queue
+function expireStaleJobs(q) {
+  const now = Date.now();
+  for (const job of q.filter(j => isExpired(j, now))) expireJob(job);
+}
+
+function findJob(token) {
+  return jobIndex.get(token)?.job || finishedJobs.get(token) || null;
+}
+
+function findJobsByOrderId(orderId) {
+  const jobs = [];
+  for (const { job } of jobIndex.values()) if (job.orderId === orderId) jobs.push(job);
+  for (const job of finishedJobs.values()) if (job.orderId === orderId) jobs.push(job);
+  return jobs.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// Statuses a job can still be pulled from before it reaches the printer
+const CANCELLABLE_STATUSES = new Set(["rendering", "queued", "requeued", "offered", "failed", "dead_letter"]);
+
+/**
+ * Cancel a job if it hasn't gone to the printer yet.
+ * With voidIfPrinted, a job that already went out gets a "VOID" ticket queued behind it.
+ * @returns {Object} { token, result, status, voidToken? }
+ */
+function cancelJob(job, { voidIfPrinted = false } = {}) {
+  if (CANCELLABLE_STATUSES.has(job.status) && jobIndex.has(job.id)) {
+    setJobStatus(job, "cancelled");
+    removeJob(job.id);
+    console.log("[cancel]", { token: job.id, rid: job.restaurantId });
+    return { token: job.id, result: "cancelled", status: job.status };
+  }
+
+  const result = {
+    sent: "already_sent",
+    done: "already_printed",
+  }[job.status] || "already_finished";
+
+  const outcome = { token: job.id, result, status: job.status };
+  if (voidIfPrinted && (result === "already_sent" || result === "already_printed") && job.kind !== "void") {
+    outcome.voidToken = voidTicketFor(job);
+  }
+  return outcome;
+}
+
+// One VOID ticket per printed job: asking again returns the one already queued or printed
+function voidTicketFor(original) {
+  const existing = original.voidToken && (jobIndex.get(original.voidToken)?.job || finishedJobs.get(original.voidToken));
+  if (existing && existing.status !== "cancelled") return existing.id;
+  original.voidToken = enqueueVoidTicket(original);
+  if (jobIndex.has(original.id)) saveJob(original);
+  return original.voidToken;
+}
+
+function enqueueVoidTicket(original) {
+  const job = {
+    id: makeId(),
+    createdAt: Date.now(),
+    environment: original.environment,
+    orderId: original.orderId,
+    content: null,
+    status: "rendering",
+    timestamps: { rendering: Date.now() },
+    retryCount: 0,
+    offeredAt: null,
+    sentAt: null,
+    restaurantId: original.restaurantId,
+    customerName: original.customerName,
+    orderNumber: original.orderNumber,
+    kind: "void",
+    voidOf: original.id,
+    priority: "rush", // the kitchen needs to see this before anything else
+  };
+  addJob(job);
+  publishEvent("job.created", { ...toPublicJob(job), environment: job.environment });
+  console.log("[void queued]", { token: job.id, voidOf: original.id, rid: job.restaurantId });
+  renderJob(job);
+  return job.id;
+}
+
+function logCancellation(orderId, outcomes, sample) {
+  logSuccess({
+    orderId: orderId,
+    restaurantId: sample.restaurantId,
+    stage: 'ORDER_CANCELLED',
+    message: `Order cancelled: ${outcomes.map(o => `${o.token}=${o.result}`).join(', ')}`,
+    customerName: sample.customerName,
+    orderNumber: sample.orderNumber,
+    metadata: { outcomes },
+  }, sample.environment || 'production').catch(err => console.error('[log-error]', err));
+}
+
+function toPublicJob(job) {
+  const timestamps = {};
+  for (const [status, ms] of Object.entries(job.timestamps || {})) {
+    timestamps[status] = new Date(ms).toISOString();
+  }
+  return {
+    token: job.id,
+    orderId: job.orderId,
+    orderNumber: job.orderNumber,
+    restaurantId: job.restaurantId,
+    status: job.status,
+    createdAt: job.createdAt ? new Date(job.createdAt).toISOString() : null,
+    timestamps,
+    servedBy: job.servedBy || null,
+    responseCode: job.responseCode || null,
+    retryCount: job.retryCount || 0,
+    failures: job.failures || [],
+    kind: job.kind || "order",
+    voidOf: job.voidOf || null,
+    template: job.template || "receipt",
+    priority: job.priority || "normal",
+    mediaType: job.mediaType || null,
+    printAt: job.printAt ? new Date(job.printAt).toISOString() : null,
+    scheduled: isScheduledLater(job),
+  };
+}
+
+function notifyWebhooks(type, job, extra = {}) {
+  dispatchWebhook(type, { ...toPublicJob(job), environment: job.environment, ...extra });
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [token, job] of finishedJobs) {
+    const finishedAt = Math.max(...Object.values(job.timestamps || {}), job.createdAt || 0);
+    if (now - finishedAt > JOB_RETENTION_MS) finishedJobs.delete(token);
+  }
+}, 10 * 60_000);
+
+// A job that can't be rendered will never print: settle it like done and expired jobs
+function failRender(job) {
+  setJobStatus(job, "failed");
+  removeJob(job.id);
+}
+
+// Reload jobs that were still waiting when the process last stopped.
+// Offers/sends in flight are reset so the printer gets them again on its next poll.
+function restoreJobs() {
+  const restored = loadJobs();
+  for (const { key, createdAt, tokens } of loadIdempotencyKeys()) {
+    idempotentRequests.set(key, { createdAt, tokens: Promise.resolve(tokens) });
+  }
+  const needsRender = [];
+  for (const job of restored) {
+    queueFor(job.restaurantId).push(job);
+    jobIndex.set(job.id, { restaurantId: job.restaurantId, job });
+    // An interrupted offer isn't the printer's fault, so it doesn't count as an attempt
+    if (job.status === "offered" || job.status === "sent") setJobStatus(job, "requeued", { offeredAt: null, sentAt: null });
+    if ((job.status === "rendering" || job.status === "queued") && !hasRenderedContent(job)) needsRender.push(job);
+    if (job.idempotencyKey) rememberRestoredJob(job);
+    if (job.status === "failed") removeJob(job.id); // left over from before failed renders were settled
+  }
+  return needsRender;
+}
+
+// --------------------------
+// Idempotency (dedupe retried /api/print submissions)
+// --------------------------
+const IDEMPOTENCY_WINDOW_MS = Number(process.env.IDEMPOTENCY_WINDOW_MS || 10 * 60_000);
+const idempotentRequests = new Map(); // key -> { createdAt, tokens: Promise<string[]|null> }
+
+// Idempotency-Key header wins; otherwise fall back to the order's own id
+function idempotencyKeyFor(req, environment) {
+  const { restaurantId, order } = req.body || {};
+  const key = req.get("idempotency-key") || order?.orderId || order?.id;
+  if (!key) return null;
+  const rids = Array.isArray(restaurantId) ? restaurantId.join(",") : restaurantId;
+  return `${environment}:${rids}:${key}`;
+}
+
+function findIdempotentRequest(key) {
+  const entry = idempotentRequests.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.createdAt > IDEMPOTENCY_WINDOW_MS) {
+    idempotentRequests.delete(key);
+    return null;
+  }
+  return entry;
 }
 
+// Reserve the key before any await so concurrent retries wait on the first request
+function reserveIdempotencyKey(key) {
+  let resolve;
+  const tokens = new Promise(r => { resolve = r; });
+  idempotentRequests.set(key, { createdAt: Date.now(), tokens });
+  return resolve;
+}
+
+/**
+ * Take the key, or wait for the request holding it. If that request fails, one waiter takes the
+ * key over (there's no await between checking and reserving) and the rest wait on it in turn.
+ * @returns {Promise<Object>} { tokens } of the earlier request, or { settle } to call with ours
+ */
+async function claimIdempotencyKey(key) {
+  for (;;) {
+    const existing = findIdempotentRequest(key);
+    if (!existing) return { settle: reserveIdempotencyKey(key) };
+    const tokens = await existing.tokens;
+    if (tokens) return { tokens };
+    if (idempotentRequests.get(key) === existing) idempotentRequests.delete(key);
+  }
+}
+
+// Journal the key so a retry after a restart still gets the original tokens, printed or not
+function persistIdempotencyKey(key, tokens) {
+  const createdAt = idempotentRequests.get(key)?.createdAt || Date.now();
+  saveIdempotencyKey(key, { createdAt, expiresAt: createdAt + IDEMPOTENCY_WINDOW_MS, tokens });
+}
+
+function rememberRestoredJob(job) {
+  const entry = idempotentRequests.get(job.idempotencyKey);
+  if (entry) {
+    entry.tokens = entry.tokens.then(tokens => (tokens.includes(job.id) ? tokens : [...tokens, job.id]));
+  } else {
+    idempotentRequests.set(job.idempotencyKey, { createdAt: job.createdAt || Date.now(), tokens: Promise.resolve([job.id]) });
+  }
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of idempotentRequests) {
+    if (now - entry.createdAt > IDEMPOTENCY_WINDOW_MS) idempotentRequests.delete(key);
+  }
+}, 60_000);
+
 // --------------------------
 // Presence tracking (who's polling)
 // --------------------------
 const seenBySerial = new Map(); // serial -> { serial, restaurants[], lastSeen, ip, ua, path }
 const POLL_ONLINE_WINDOW_MS = 15_000; // printers poll every 5s → 15s is a safe online window
 
-function markSeen(serial, req) {
+/**
+ * Record that a printer is alive
+ * @param {string} serial
+ * @param {Object} client - { ip, userAgent, path } of the poll (or push connection)
+ * @param {Object} printerStatus - parsed status, if the printer reported one
+ */
+function markSeen(serial, client, printerStatus = null) {
   const s = String(serial).trim();
   if (!s) return;
   const restaurants = serialToRestaurantList.get(s) || [];
-  seenBySerial.set(s, {
+  const prev = seenBySerial.get(s);
+  const rec = {
     serial: s,
     restaurants,
     lastSeen: Date.now(),
-    ip: req.ip,
-    userAgent: req.get("user-agent") || "",
-    path: req.originalUrl || req.url || "",
-  });
+    ip: client.ip,
+    userAgent: client.userAgent || "",
+    path: client.path || "",
+    online: true,
+    // keep the last reported status if this request didn't carry one
+    printerStatus: printerStatus ? { ...printerStatus, updatedAt: new Date().toISOString() } : prev?.printerStatus || null,
+  };
+  seenBySerial.set(s, rec);
+  if (!prev || !prev.online) publishPresence("printer.online", rec);
+
+  const prevHealth = prev?.printerStatus?.health || "ok";
+  if (printerStatus && printerStatus.health !== prevHealth) {
+    publishPresence("printer.status", rec);
+    logPrinterHealth(rec, prevHealth);
+  }
+}
+
+// Health changes (paper low, cover open, ...) go to the print log as a printer signal
+function logPrinterHealth(rec, prevHealth) {
+  const { health, problems, statusCode, statusText } = rec.printerStatus;
+  const envs = environmentsForSerial(rec.serial);
+  const environment = envs.includes("production") ? "production" : envs[0] || "production";
+  const entry = {
+    restaurantId: rec.restaurants[0] || "unknown",
+    printerSerial: rec.serial,
+    stage: 'PRINTER_HEALTH',
+    printerStatus: health,
+    metadata: { previous: prevHealth, problems, statusCode, statusText, printerMAC: rec.printerStatus.printerMAC },
+  };
+  console.warn("[printer-health]", { serial: rec.serial, from: prevHealth, to: health, problems });
+
+  if (health === "error") {
+    logError({
+      ...entry,
+      message: `⚠ Printer ${rec.serial} reports an error: ${problems.join(', ') || statusText || statusCode} (jobs are held)`,
+      error: new Error(`Printer error: ${problems.join(', ') || statusCode}`),
+    }, environment).catch(err => console.error('[log-error]', err));
+  } else {
+    logSuccess({
+      ...entry,
+      message: health === "paper_low"
+        ? `⚠ Printer ${rec.serial} paper is running low`
+        : `✓ Printer ${rec.serial} recovered (was ${prevHealth})`,
+    }, environment).catch(err => console.error('[log-error]', err));
+  }
 }
 function isOnline(rec) {
   return Date.now() - rec.lastSeen <= POLL_ONLINE_WINDOW_MS;
 }
+function publishPresence(type, rec) {
+  publishEvent(type, { ...toPublicPresence(rec), environments: environmentsForSerial(rec.serial) });
+}
+
+// Flip printers that stopped polling to offline (online transitions happen in markSeen)
+setInterval(() => {
+  for (const rec of seenBySerial.values()) {
+    if (rec.online && !isOnline(rec)) {
+      rec.online = false;
+      publishPresence("printer.offline", rec);
+    }
+  }
+}, 5_000);
+
+/** Which environment configs contain this serial */
+function environmentsForSerial(serial) {
+  const envs = [];
+  for (const [env, config] of Object.entries(PRINTER_CONFIGS)) {
+    if (config.some(p => String(p.serial).trim() === serial)) envs.push(env);
+  }
+  return envs;
+}
 function toPublicPresence(rec) {
   const ago = Date.now() - rec.lastSeen;
   return {
@@ -255,9 +742,17 @@ function toPublicPresence(rec) {
     lastSeen: new Date(rec.lastSeen).toISOString(),
     msAgo: ago,
     ip: rec.ip,
+    printerStatus: rec.printerStatus || null,
+    encodings: printerEncodings(rec.serial),
   };
 }
 
+/** Formats a printer accepts, as far as its transport knows */
+function printerEncodings(serial) {
+  const { transport, printer } = transportFor(serial);
+  return printer ? transport.capabilities(printer, serial) || null : null;
+}
+
 // --------------------------
 // Assets
 // --------------------------
@@ -266,26 +761,28 @@ const base64 = fs.readFileSync("./logo-backup.png", "base64");
 // --------------------------
 // HTML Template
 // --------------------------
-function generateReceiptHTML(order = {}) {
-  const restaurantName = order.restaurantName || "";
-  const driverName = order.driverName || "";
-  const driverPhone = order.driverPhone || "";
-  const providerName = order.providerName || "";
-  const estimatePickupTime = order.estimatePickupTime || "";
+function generateReceiptHTML(order = {}, branding = loadBranding()) {
+  const restaurantName = escapeHtml(order.restaurantName);
+  const driverName = escapeHtml(order.driverName);
+  const driverPhone = escapeHtml(order.driverPhone);
+  const providerName = escapeHtml(order.providerName);
+  const estimatePickupTime = escapeHtml(order.estimatePickupTime);
   const isPickup = !!order.pickup;
 
-  const customerName = order.customerDetails?.name || "";
-  const customerAddress = order.customerDetails?.address || "";
-  const customerCity = order.customerDetails?.city || "";
-  const customerState = order.customerDetails?.state || "";
-  const customerZip = order.customerDetails?.zip || "";
+  const customerName = escapeHtml(order.customerDetails?.name);
+  const customerAddress = escapeHtml(order.customerDetails?.address);
+  const customerCity = escapeHtml(order.customerDetails?.city);
+  const customerState = escapeHtml(order.customerDetails?.state);
+  const customerZip = escapeHtml(order.customerDetails?.zip);
   const items = Array.isArray(order.items) ? order.items : [];
 
   const deliveryFee = typeof order.deliveryFee === "number" ? order.deliveryFee : null;
   const serviceFee = typeof order.serviceFee === "number" ? order.serviceFee : null;
   const processingFee = typeof order.processingFee === "number" ? order.processingFee : null;
   const total = typeof order.total === "number" ? order.total : 0;
-  const deliveryInstructions = order.deliveryInstructions || "";
+  const deliveryInstructions = escapeHtml(order.deliveryInstructions);
+  const logoSrc = branding.logo ? imageDataUri(branding.logo) : `data:image/png;base64,${base64}`;
+  const fontSizes = branding.fontSizes;
 
   return `
   <html>
@@ -293,24 +790,25 @@ function generateReceiptHTML(order = {}) {
     <meta charset="utf-8" />
     <style>
       * { box-sizing: border-box; }
-      body { font-family: monospace; width: 576px; margin: 0; padding: 10px 10px 100px 0px; font-size: 42px; }
+      body { font-family: monospace; width: 576px; margin: 0; padding: 10px 10px 100px 0px; font-size: ${fontSizes.base}px; }
       .center { text-align: center; }
-      .bold { font-weight: bold; font-size: 49px; }
+      .bold { font-weight: bold; font-size: ${fontSizes.title}px; }
       .line { border-top: 1px dashed #000; margin: 6px 0; }
-      .item { display: flex; justify-content: space-between; font-size: 38px; }
+      .item { display: flex; justify-content: space-between; font-size: ${fontSizes.item}px; }
       .logo { display: block; margin: 0 auto 15px auto; max-width: 200px; }
-      .subinfo { font-size: 34px; margin-top: 10px; margin-bottom: 10px; }
-      .specialInstructions { font-size: 31px; font-style: italic; margin-top: 8px; border: 1px solid #000; padding: 4px; }
-      .modifiers { font-size: 31px; margin-left: 20px; margin-top: 4px; color: #333; }
+      .subinfo { font-size: ${fontSizes.info}px; margin-top: 10px; margin-bottom: 10px; }
+      .specialInstructions { font-size: ${fontSizes.detail}px; font-style: italic; margin-top: 8px; border: 1px solid #000; padding: 4px; }
+      .modifiers { font-size: ${fontSizes.detail}px; margin-left: 20px; margin-top: 4px; color: #333; }
       .modifier-item { display: flex; justify-content: space-between; margin-top: 2px; }
     </style>
   </head>
   <body>
     <div class="center">
-      <img class="logo" src="data:image/png;base64,${base64}" alt="Logo" />
+      <img class="logo" src="${logoSrc}" alt="Logo" />
     </div>
 
     <div class="center bold">${restaurantName}</div>
+    ${branding.header.length ? `<div class="center subinfo">${branding.header.map(escapeHtml).join("<br/>")}</div>` : ""}
 
     <div class="center subinfo">
       ${!isPickup ? `<span>Pickup Driver: <span style="font-weight:bold;">${driverName} - ${driverPhone}</span></span><br/>` : ``}
@@ -332,34 +830,36 @@ function generateReceiptHTML(order = {}) {
     ` : ``}
 
     ${items.map((item) => {
-      const name = item?.name || "Item";
+      const name = escapeHtml(item?.name || "Item");
       const quantity = item?.quantity || 1;
       const price = typeof item?.price === "number" ? item.price : 0;
       const modifierTotal = (typeof item?.modifierTotal === "number" && !isNaN(item.modifierTotal)) ? item.modifierTotal : 0;
       const itemTotal = (price + modifierTotal) * quantity;
-      const special = item?.specialInstructions || "";
+      const special = escapeHtml(item?.specialInstructions);
       const modifiers = Array.isArray(item?.selectedModifiers) ? item.selectedModifiers : [];
       
       return `
-        <div class="item">
-          <span style="font-weight: bold;">${quantity}x ${name}</span>
-          <span style="font-weight: bold;">$${itemTotal.toFixed(2)}</span>
-        </div>
-        ${modifiers.length > 0 ? `
-          <div class="modifiers">
-            ${modifiers.map(mod => {
-              const modPrice = (typeof mod?.modifierPrice === "number" && !isNaN(mod.modifierPrice)) ? mod.modifierPrice : 0;
-              const modName = mod?.modifierName || "Modifier";
-              return `
-              <div class="modifier-item">
-                <span>+ ${modName}</span>
-                ${modPrice > 0 ? `<span>+$${modPrice.toFixed(2)}</span>` : ''}
-              </div>
-              `;
-            }).join('')}
+        <div data-item>
+          <div class="item">
+            <span style="font-weight: bold;">${escapeHtml(quantity)}x ${name}</span>
+            <span style="font-weight: bold;">$${itemTotal.toFixed(2)}</span>
           </div>
-        ` : ""}
-        ${special ? `<div class="specialInstructions">special instructions: ${special}</div>` : ""}
+          ${modifiers.length > 0 ? `
+            <div class="modifiers">
+              ${modifiers.map(mod => {
+                const modPrice = (typeof mod?.modifierPrice === "number" && !isNaN(mod.modifierPrice)) ? mod.modifierPrice : 0;
+                const modName = escapeHtml(mod?.modifierName || "Modifier");
+                return `
+                <div class="modifier-item">
+                  <span>+ ${modName}</span>
+                  ${modPrice > 0 ? `<span>+$${modPrice.toFixed(2)}</span>` : ''}
+                </div>
+                `;
+              }).join('')}
+            </div>
+          ` : ""}
+          ${special ? `<div class="specialInstructions">special instructions: ${special}</div>` : ""}
+        </div>
       `;
     }).join("")}
 
@@ -374,7 +874,111 @@ function generateReceiptHTML(order = {}) {
 
     ${(!isPickup && deliveryInstructions) ? `<div class="specialInstructions">special delivery instructions: ${deliveryInstructions}</div>` : ""}
 
-    <div class="center">Thank you!</div>
+    <div class="center">${branding.footer.map(escapeHtml).join("<br/>")}</div>
+  </body>
+  </html>`;
+}
+
+// A restaurant's own template when it has one; the default receipt if not, or if it fails
+function renderReceiptHTML(order = {}, branding = loadBranding()) {
+  if (!branding.template) return generateReceiptHTML(order, branding);
+  try {
+    const view = receiptView(order, branding);
+    if (!view.logo) view.logo = `data:image/png;base64,${base64}`;
+    return renderTemplate(branding.template, view);
+  } catch (error) {
+    console.error("[branding] Receipt template failed, using the default receipt:", error.message);
+    return generateReceiptHTML(order, branding);
+  }
+}
+
+// Kitchen copy: big quantities and items, loud modifiers/instructions, no prices or branding
+function generateKitchenTicketHTML(order = {}) {
+  const orderLabel = escapeHtml(order.orderNumber || order.id || order.orderId);
+  const isPickup = !!order.pickup;
+  const customerName = escapeHtml(order.customerDetails?.name);
+  const providerName = escapeHtml(order.providerName);
+  const estimatePickupTime = escapeHtml(order.estimatePickupTime);
+  const items = Array.isArray(order.items) ? order.items : [];
+  const time = new Date().toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+
+  return `
+  <html>
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      * { box-sizing: border-box; }
+      body { font-family: monospace; width: 576px; margin: 0; padding: 10px 10px 100px 0px; font-size: 42px; }
+      .center { text-align: center; }
+      .order { font-weight: bold; font-size: 72px; }
+      .type { font-weight: bold; font-size: 56px; background: #000; color: #fff; margin: 6px 0; }
+      .subinfo { font-size: 34px; margin-top: 6px; margin-bottom: 6px; }
+      .line { border-top: 3px solid #000; margin: 8px 0; }
+      .item { font-weight: bold; font-size: 52px; margin-top: 10px; }
+      .qty { font-size: 64px; }
+      .modifiers { font-size: 40px; font-weight: bold; margin-left: 30px; }
+      .specialInstructions { font-size: 40px; font-weight: bold; margin-top: 8px; border: 4px solid #000; padding: 6px; }
+    </style>
+  </head>
+  <body>
+    <div class="center order">#${orderLabel}</div>
+    <div class="center type">${isPickup ? "PICKUP" : "DELIVERY"}</div>
+    <div class="center subinfo">
+      ${customerName ? `<span style="font-weight:bold;">${customerName}</span><br/>` : ``}
+      ${providerName ? `${providerName}<br/>` : ``}
+      ${estimatePickupTime ? `Pickup Time: ${estimatePickupTime}<br/>` : ``}
+      Printed ${time}
+    </div>
+
+    <div class="line"></div>
+
+    ${items.map((item) => {
+      const name = escapeHtml(item?.name || "Item");
+      const quantity = item?.quantity || 1;
+      const special = escapeHtml(item?.specialInstructions);
+      const modifiers = Array.isArray(item?.selectedModifiers) ? item.selectedModifiers : [];
+      return `
+        <div data-item>
+          <div class="item"><span class="qty">${escapeHtml(quantity)}x</span> ${name}</div>
+          ${modifiers.length > 0 ? `
+            <div class="modifiers">
+              ${modifiers.map(mod => `<div>+ ${escapeHtml(mod?.modifierName || "Modifier")}</div>`).join("")}
+            </div>
+          ` : ""}
+          ${special ? `<div class="specialInstructions">** ${special} **</div>` : ""}
+        </div>
+      `;
+    }).join("")}
+
+    <div class="line"></div>
+  </body>
+  </html>`;
+}
+
+// Short ticket telling the kitchen to disregard an order that already printed
+function generateVoidTicketHTML(job = {}) {
+  const orderLabel = escapeHtml(job.orderNumber || job.orderId || job.voidOf);
+  const time = new Date().toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+  return `
+  <html>
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      * { box-sizing: border-box; }
+      body { font-family: monospace; width: 576px; margin: 0; padding: 10px 10px 100px 0px; font-size: 42px; }
+      .center { text-align: center; }
+      .void { font-weight: bold; font-size: 96px; border: 6px solid #000; margin: 10px 0; }
+      .bold { font-weight: bold; font-size: 49px; }
+      .subinfo { font-size: 34px; margin-top: 10px; }
+    </style>
+  </head>
+  <body>
+    <div class="center void">VOID</div>
+    <div class="center bold">Order #${orderLabel}</div>
+    <div class="center subinfo">
+      ${job.customerName ? `${escapeHtml(job.customerName)}<br/>` : ``}
+      Cancelled at ${time} - do not prepare
+    </div>
   </body>
   </html>`;
 }
@@ -388,190 +992,751 @@ function getChromiumPath() {
   return null;
 }
 
-// Tiny concurrency limiter
-class Limit {
-  constructor(max = 2) { this.max = max; this.running = 0; this.q = []; }
-  async run(fn) {
-    if (this.running >= this.max) await new Promise(r => this.q.push(r));
-    this.running++;
-    try { return await fn(); }
-    finally { this.running--; const n=this.q.shift(); if (n) n(); }
-  }
-}
-const renderLimit = new Limit(2);
-
-let browserPromise = null;
-async function getBrowser() {
-  if (!browserPromise) {
-    browserPromise = puppeteer.launch({
-      headless: true,
-      executablePath: getChromiumPath() || process.env.PUPPETEER_EXECUTABLE_PATH,
-      args: [
-        "--no-sandbox","--disable-setuid-sandbox","--disable-dev-shm-usage",
-        "--disable-gpu","--media-cache-size=52428800",
-        "--single-process","--no-zygote","--mute-audio","--font-render-hinting=none",
-        "--disable-background-timer-throttling","--disable-backgrounding-occluded-windows",
-        "--disk-cache-size=0" // keep temp small
-      ],
+const browserSupervisor = new BrowserSupervisor({
+  launch: () => puppeteer.launch({
+    headless: true,
+    executablePath: getChromiumPath() || process.env.PUPPETEER_EXECUTABLE_PATH,
+    args: [
+      "--no-sandbox","--disable-setuid-sandbox","--disable-dev-shm-usage",
+      "--disable-gpu","--media-cache-size=52428800",
+      "--single-process","--no-zygote","--mute-audio","--font-render-hinting=none",
+      "--disable-background-timer-throttling","--disable-backgrounding-occluded-windows",
+      "--disk-cache-size=0" // keep temp small
+    ],
+  }),
+  onDisconnect: () => pagePool.drain(),
+});
+function getBrowser() {
+  return browserSupervisor.get();
+}
+
+const RENDER_PAGE_WIDTH = 576; // receipt templates are laid out at this width
+
+// Each pooled page is configured once: static HTML only, JS off, nothing fetched but data: URLs
+async function setupRenderPage(page) {
+  await page.setJavaScriptEnabled(false);
+  await page.setViewport({ width: RENDER_PAGE_WIDTH, height: 800, deviceScaleFactor: 1 });
+  await page.setRequestInterception(true);
+  page.on("request", req => (req.url().startsWith("data:") ? req.continue() : req.abort()));
+}
+
+// Whole number from the environment; anything else falls back to the default, with a warning
+function envCount(name, fallback, { min = 0 } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const value = Number(raw);
+  if (Number.isInteger(value) && value >= min) return value;
+  console.warn(`[config] Ignoring ${name}=${raw} (expected a whole number >= ${min}); using ${fallback}`);
+  return fallback;
+}
+
+const pagePool = new PagePool({
+  getBrowser,
+  setup: setupRenderPage,
+  size: envCount("RENDER_POOL_SIZE", 2, { min: 1 }),
+});
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 30_000;
+const RENDER_TIMEOUTS_BEFORE_RESTART = 2; // in a row: Chromium is wedged, not just one bad page
+let renderTimeoutsInARow = 0;
+
+const renderCache = new RenderCache({
+  maxEntries: envCount("RENDER_CACHE_SIZE", 50),
+  sizeOf: ({ png }) => png.length,
+});
+
+// Rejects with err.renderTimeout if a render step takes longer than RENDER_TIMEOUT_MS
+// (loading the page, then each screenshot: a long receipt gets that much per segment)
+function withRenderTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Render timed out after ${RENDER_TIMEOUT_MS}ms`);
+      error.renderTimeout = true;
+      reject(error);
+    }, RENDER_TIMEOUT_MS);
+  });
+  promise.catch(() => {}); // it's abandoned on timeout; the pool closes its page
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Errors meaning Chromium went away under the render (rather than the render itself failing)
+const BROWSER_LOST_ERROR = /Target closed|Session closed|Connection closed|frame was detached|crashed/i;
+
+// Screenshot of the HTML plus where its images are; identical HTML is rendered once (see RenderCache).
+// The label heads continuation segments, so it's part of the cache key too.
+// Failures caused by losing the browser are flagged err.browserLost so the job can be rendered again.
+function renderHtmlToPngFast(html, { label = "" } = {}) {
+  return renderCache.get(`${label}\n${html}`, async () => {
+    try {
+      const result = await pagePool.use(page => renderOnPage(page, html, { label }));
+      renderTimeoutsInARow = 0;
+      return result;
+    } catch (error) {
+      if (error.renderTimeout && ++renderTimeoutsInARow >= RENDER_TIMEOUTS_BEFORE_RESTART) {
+        renderTimeoutsInARow = 0;
+        await browserSupervisor.restart(`${RENDER_TIMEOUTS_BEFORE_RESTART} renders in a row timed out`);
+        error.browserLost = true;
+      }
+      if (!browserSupervisor.connected || BROWSER_LOST_ERROR.test(error.message)) error.browserLost = true;
+      throw error;
+    }
+  });
+}
+
+// Chromium can't screenshot a page much taller than this in one go
+const MAX_SEGMENT_HEIGHT = 30_000;
+
+// In the page: split a long receipt at its [data-item] elements into segments that each fit
+// maxHeight. The first segment keeps the header, the last keeps the footer (totals).
+// Returns the segment count, or 0 if there's nothing to split at.
+function planReceiptSegments(maxHeight) {
+  const CONTINUATION_HEIGHT = 100; // room for the "continued" line
+  const items = Array.from(document.querySelectorAll("[data-item]"));
+  if (!items.length || items.some(el => el.parentElement !== items[0].parentElement)) return 0;
+
+  // Non-item elements between items go with the item before them
+  const parent = items[0].parentElement;
+  const siblings = Array.from(parent.children);
+  const first = siblings.indexOf(items[0]);
+  const last = siblings.indexOf(items[items.length - 1]);
+  const groups = [];
+  for (const el of siblings.slice(first, last + 1)) {
+    if (el.hasAttribute("data-item")) groups.push([el]);
+    else groups[groups.length - 1].push(el);
+  }
+  const header = siblings.slice(0, first);
+  const footer = siblings.slice(last + 1);
+  for (let el = parent; el && el !== document.body; el = el.parentElement) {
+    const around = Array.from(el.parentElement.children);
+    header.push(...around.slice(0, around.indexOf(el)));
+    footer.push(...around.slice(around.indexOf(el) + 1));
+  }
+
+  const top = (el) => el.getBoundingClientRect().top + window.scrollY;
+  const bottom = (el) => el.getBoundingClientRect().bottom + window.scrollY;
+  const tops = items.map(top);
+  const lastBottom = Math.max(...groups[groups.length - 1].map(bottom));
+  const heights = tops.map((t, i) => (i + 1 < tops.length ? tops[i + 1] : lastBottom) - t);
+  const footerHeight = document.documentElement.scrollHeight - lastBottom;
+
+  const segments = [];
+  let start = 0;
+  let used = tops[0];
+  heights.forEach((height, i) => {
+    if (i > start && used + height > maxHeight) {
+      segments.push([start, i]);
+      start = i;
+      used = CONTINUATION_HEIGHT;
+    }
+    used += height;
+  });
+  if (used + footerHeight > maxHeight) {
+    segments.push([start, items.length]);
+    start = items.length; // the footer gets a segment of its own
+  }
+  segments.push([start, items.length]);
+
+  const style = document.createElement("style");
+  style.textContent = ".receipt-split-hidden { display: none !important; }";
+  document.head.appendChild(style);
+  window.receiptSplit = { header, footer, groups, segments };
+  return segments.length;
+}
+
+// In the page: show only segment `index`, headed by a continuation line after the first
+function showReceiptSegment({ index, label }) {
+  const { header, footer, groups, segments } = window.receiptSplit;
+  const [from, to] = segments[index];
+  const hide = (el, hidden) => el.classList.toggle("receipt-split-hidden", hidden);
+  header.forEach(el => hide(el, index > 0));
+  footer.forEach(el => hide(el, index < segments.length - 1));
+  groups.forEach((els, i) => els.forEach(el => hide(el, i < from || i >= to)));
+
+  document.querySelector(".receipt-split-continued")?.remove();
+  if (index > 0) {
+    const note = document.createElement("div");
+    note.className = "receipt-split-continued";
+    note.style.cssText = "text-align:center; font-weight:bold; font-size:34px; border-bottom:2px dashed #000; padding-bottom:6px; margin-bottom:10px;";
+    note.textContent = `${label ? `${label} ` : ""}continued (${index + 1}/${segments.length})`;
+    document.body.prepend(note);
+  }
+}
+
+async function measureReceipt(page) {
+  const height = await page.evaluate(() => Math.max(document.body.scrollHeight, document.documentElement.scrollHeight));
+
+  // Where the images are, so they can be dithered separately from the text
+  const images = await page.evaluate(() =>
+    Array.from(document.querySelectorAll("img, svg, canvas, [data-dither]"))
+      .map(el => el.getBoundingClientRect())
+      .filter(r => r.width > 0 && r.height > 0)
+      .map(r => ({ x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height }))
+  );
+  return { height, images };
+}
+
+function screenshotReceipt(page, height) {
+  return page.screenshot({
+    type: 'png',
+    clip: { x: 0, y: 0, width: RENDER_PAGE_WIDTH, height: Math.min(height, MAX_SEGMENT_HEIGHT) },
+    captureBeyondViewport: true,
+    optimizeForSpeed: true,
+  });
+}
+
+// Receipts taller than MAX_SEGMENT_HEIGHT are shot in segments split between items and stacked
+// back into one image, so the printer gets every part, in order, before the single final cut.
+async function renderOnPage(page, html, { label = "" } = {}) {
+  const t0 = Date.now();
+  await withRenderTimeout(page.setContent(html, { waitUntil: 'domcontentloaded', timeout: 15_000 }));
+  const tSetContent1 = Date.now();
+
+  const whole = await withRenderTimeout(measureReceipt(page));
+  const segmentCount = whole.height > MAX_SEGMENT_HEIGHT
+    ? await withRenderTimeout(page.evaluate(planReceiptSegments, MAX_SEGMENT_HEIGHT))
+    : 0;
+  if (whole.height > MAX_SEGMENT_HEIGHT && !segmentCount) {
+    console.warn(`[render] Receipt is ${whole.height}px with no [data-item] elements to split at; cutting it at ${MAX_SEGMENT_HEIGHT}px`);
+  }
+
+  const tShot0 = Date.now();
+  let png, images;
+  if (!segmentCount) {
+    png = await withRenderTimeout(screenshotReceipt(page, whole.height));
+    images = whole.images;
+  } else {
+    const shots = [];
+    images = [];
+    let offset = 0;
+    const shootSegment = async (index) => {
+      await page.evaluate(showReceiptSegment, { index, label });
+      const segment = await measureReceipt(page);
+      if (segment.height > MAX_SEGMENT_HEIGHT) console.warn(`[render] Receipt segment ${index + 1} is ${segment.height}px; cutting it at ${MAX_SEGMENT_HEIGHT}px`);
+      const height = Math.min(segment.height, MAX_SEGMENT_HEIGHT);
+      const shot = await sharp(await screenshotReceipt(page, height), { failOn: "none" })
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .grayscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      return { shot, height, images: segment.images.filter(r => r.y < height) };
+    };
+    for (let index = 0; index < segmentCount; index++) {
+      const segment = await withRenderTimeout(shootSegment(index));
+      shots.push(segment.shot);
+      images.push(...segment.images.map(r => ({ ...r, y: r.y + offset })));
+      offset += segment.height;
+    }
+    png = await sharp(Buffer.concat(shots.map(s => s.data)), { raw: { width: shots[0].info.width, height: offset, channels: 1 } })
+      .png({ compressionLevel: 2 })
+      .toBuffer();
+  }
+  const tShot1 = Date.now();
+
+  console.log(
+    `[render] setContent=${tSetContent1 - t0}ms ` +
+    `measure=${tShot0 - tSetContent1}ms screenshot=${tShot1 - tShot0}ms total=${Date.now() - t0}ms` +
+    (segmentCount ? ` segments=${segmentCount}` : "")
+  );
+
+  return { png, images };
+}
+
+// Raster -> Star, sized for the printer's paper (see PAPER_PROFILES). Text is cut at the
+// paper's threshold; images (rects from renderHtmlToPngFast) are converted with the dither mode.
+async function rasterForStar(raw, paper = resolvePaper(), { dither = "threshold", images = [] } = {}) {
+  const PNG_OPTS = { palette: true, colors: 2, compressionLevel: 2, effort: 1 };
+  const width = paper.dots - paper.marginLeft - paper.marginRight;
+  // Nearest keeps 80mm text crisp; shrinking the 576px page to 58mm needs real resampling
+  const kernel = width >= 0.95 * RENDER_PAGE_WIDTH ? "nearest" : "lanczos3";
+  const { data, info } = await sharp(raw, { failOn: "none" })
+    .resize({ width, kernel })
+    .flatten({ background: { r: 255, g: 255, b: 255 } })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const scale = info.width / RENDER_PAGE_WIDTH;
+  const regions = images.map(r => ({ x: r.x * scale, y: r.y * scale, width: r.width * scale, height: r.height * scale }));
+  toMonochrome(data, info.width, info.height, { mode: dither, threshold: paper.threshold, regions });
+
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: 1 } })
+    .extend({ left: paper.marginLeft, bottom: paper.bottomFeed, background: { r: 255, g: 255, b: 255 } })
+    .png(PNG_OPTS)
+    .toBuffer();
+}
+
+function appendFeedAndCut(buffer) {
+  const FEED_AND_CUT = Buffer.from([0x1b, 0x64, 0x02]);
+  return Buffer.concat([buffer, FEED_AND_CUT]);
+}
+
+// --------------------------
+// Render pipeline with timing
+// --------------------------
+async function renderPipelineWithTiming(html, meta = {}) {
+  const t0 = performance.now();
+  const { png: raw, images } = await renderHtmlToPngFast(html, { label: meta.label });
+  const t1 = performance.now();
+  const optimized = await rasterForStar(raw, meta.paper, { dither: meta.dither, images });
+  const t2 = performance.now();
+  const finalBuffer = appendFeedAndCut(optimized);
+  const t3 = performance.now();
+
+  const sRaw = raw.length;
+  const sOpt = optimized.length;
+  const sFinal = finalBuffer.length;
+
+  const ms = (n) => Math.round(n);
+  console.log(
+    `[render] ${meta.tag || ""} html→png=${ms(t1 - t0)}ms, raster=${ms(t2 - t1)}ms, cut=${ms(t3 - t2)}ms, total=${ms(t3 - t0)}ms; ` +
+    `sizes raw=${sRaw}B, raster=${sOpt}B, final=${sFinal}B`
+  );
+
+  return finalBuffer;
+}
+
+// --------------------------
+// Render mode (per printer): "html" = Puppeteer pipeline, "markup" = native Star Document Markup,
+// "text" = native ESC/POS text (push printers only)
+// --------------------------
+const LOGO_URL = process.env.PUBLIC_BASE_URL ? `${process.env.PUBLIC_BASE_URL.replace(/\/$/, "")}/assets/logo.png` : null;
+
+function printerSerialFor(restaurantId, environment) {
+  const config = PRINTER_CONFIGS[environment] || PRINTER_CONFIG;
+  return config.find(p => p.restaurantId === restaurantId)?.serial || null;
+}
+
+function printerSettingsFor(job) {
+  return getSettings({
+    environment: job.environment,
+    restaurantId: job.restaurantId,
+    serial: printerSerialFor(job.restaurantId, job.environment),
+  });
+}
+
+// A render mode the printer's transport can't carry (e.g. markup over IPP) falls back to html
+function renderModeFor(job) {
+  const { driver, renderMode } = printerSettingsFor(job);
+  const transport = getTransport(driver) || getTransport("cloudprnt");
+  return transport.renderModes.includes(renderMode) ? renderMode : "html";
+}
+
+// Heads the continuation segments of receipts too long to render in one piece
+function receiptLabelFor(job) {
+  const orderLabel = job.orderNumber || job.orderId;
+  return orderLabel ? `Order #${orderLabel}` : "";
+}
+
+function paperFor(job) {
+  return resolvePaper(printerSettingsFor(job).paper);
+}
+
+function ditherFor(job) {
+  const { dither } = printerSettingsFor(job);
+  return Object.hasOwn(DITHER_MODES, dither) ? dither : "threshold";
+}
+
+function brandingFor(job) {
+  return loadBranding(printerSettingsFor(job).branding);
+}
+
+// Restaurants with their own logo get it from /assets/logo.png?restaurant=<id>
+function logoUrlFor(job, branding) {
+  if (!LOGO_URL || !branding.logo) return LOGO_URL;
+  const query = new URLSearchParams({ restaurant: job.restaurantId || "" });
+  if (job.environment) query.set("environment", job.environment);
+  return `${LOGO_URL}?${query}`;
+}
+
+// Ticket layouts per render mode, called with (order, job). Printers/restaurants pick one with the "template" setting.
+const TICKET_TEMPLATES = {
+  receipt: {
+    html: (order, job) => renderReceiptHTML(order, brandingFor(job)),
+    markup: (order, job) => {
+      const branding = brandingFor(job);
+      const { columns } = paperFor(job);
+      return generateReceiptMarkup(order, { logoUrl: logoUrlFor(job, branding), header: branding.header, footer: branding.footer, columns });
+    },
+    text: (order, job) => {
+      const { header, footer } = brandingFor(job);
+      return generateReceiptEscPos(order, { header, footer, columns: paperFor(job).columns });
+    },
+  },
+  kitchen: {
+    html: (order) => generateKitchenTicketHTML(order),
+    markup: (order, job) => generateKitchenTicketMarkup(order, { columns: paperFor(job).columns }),
+    text: (order, job) => generateKitchenTicketEscPos(order, { columns: paperFor(job).columns }),
+  },
+};
+// VOID tickets are built from the job, not the order
+const VOID_TEMPLATE = { html: generateVoidTicketHTML, markup: generateVoidTicketMarkup, text: generateVoidTicketEscPos };
+
+function templateFor(job) {
+  const { template } = printerSettingsFor(job);
+  return Object.hasOwn(TICKET_TEMPLATES, template) ? template : "receipt";
+}
+
+/** The job's ticket in one render mode: HTML / markup string, or ESC/POS Buffer for "text" */
+function ticketFor(job, mode) {
+  if (job.kind === "void") return VOID_TEMPLATE[mode](job);
+  const template = TICKET_TEMPLATES[Object.hasOwn(TICKET_TEMPLATES, job.template) ? job.template : "receipt"];
+  return template[mode](job.order || {}, job);
+}
+
+function renderMarkup(job) {
+  if (!jobIndex.has(job.id)) return; // cancelled before it rendered
+  job.markup = ticketFor(job, "markup");
+  setJobStatus(job, "queued");
+  console.log("[render ready]", job.id, "(markup)");
+}
+
+// Stored as a latin1 string so it survives the JSON journal
+function renderEscPosText(job) {
+  if (!jobIndex.has(job.id)) return; // cancelled before it rendered
+  job.escposText = ticketFor(job, "text").toString("latin1");
+  setJobStatus(job, "queued");
+  console.log("[render ready]", job.id, "(escpos text)");
+}
+
+// Render a single job from what's stored on it (used after restarts and for void tickets)
+async function renderJob(job) {
+  try {
+    const mode = renderModeFor(job);
+    if (mode === "markup") return renderMarkup(job);
+    if (mode === "text") return renderEscPosText(job);
+    const html = ticketFor(job, "html");
+    job.content = await renderPipelineWithTiming(html, {
+      tag: `${job.id}:${job.restaurantId}`, paper: paperFor(job), dither: ditherFor(job), label: receiptLabelFor(job),
     });
+    if (!jobIndex.has(job.id)) return; // cancelled while rendering
+    saveJobContent(job);
+    setJobStatus(job, "queued");
+    console.log("[render ready]", job.id);
+  } catch (e) {
+    if (rerenderAfterBrowserLoss(job, e)) return;
+    console.error("job render failed", job.id, e);
+    if (jobIndex.has(job.id)) failRender(job);
   }
-  return browserPromise;
 }
 
-async function renderHtmlToPngFast(html) {
-  const browser = await getBrowser();
-  return renderLimit.run(async () => {
-    const t0 = Date.now();
-    const page = await browser.newPage();
-    try {
-      // Static HTML: JS off = faster layout/paint
-      await page.setJavaScriptEnabled(false);
-
-      // Stable layout width, no scaling
-      await page.setViewport({ width: 576, height: 800, deviceScaleFactor: 1 });
-
-      // Block all external resources; allow only data: URLs
-      await page.setRequestInterception(true);
-      page.on('request', req => {
-        const url = req.url();
-        if (url.startsWith('data:')) return req.continue();
-        const type = req.resourceType();
-        if (type === 'image' || type === 'font' || type === 'media' || type === 'stylesheet' || type === 'xhr' || type === 'fetch') {
-          return req.abort();
-        }
-        return req.abort();
-      });
+// Chromium died under the render (see renderHtmlToPngFast): render the job again on the
+// relaunched browser instead of failing it. Returns false once it's been tried enough.
+const MAX_BROWSER_LOSS_RERENDERS = 3;
+function rerenderAfterBrowserLoss(job, error) {
+  if (!error?.browserLost || !jobIndex.has(job.id)) return false;
+  job.browserLossRerenders = (job.browserLossRerenders || 0) + 1;
+  if (job.browserLossRerenders > MAX_BROWSER_LOSS_RERENDERS) return false;
+  console.warn("[render] Browser lost during render; rendering again", job.id, `(attempt ${job.browserLossRerenders})`);
+  renderJob(job);
+  return true;
+}
 
-      const tSetContent0 = Date.now();
-      await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: 15_000 });
-      const tSetContent1 = Date.now();
-
-      // Compute exact content height (no cap) and take a single clipped shot
-      const height = await page.evaluate(() => {
-        const h = Math.max(
-          document.body.scrollHeight,
-          document.documentElement.scrollHeight
-        );
-        return Math.min(h, 30_000); // guardrail
-      });
+// --------------------------
+// Stale-offer/sent sweeper
+// --------------------------
+const OFFER_TIMEOUT_MS = 10_000; // re-offer after 10s
+const SENT_TIMEOUT_MS  = 20_000; // consider sent stale after 20s
 
-      const tShot0 = Date.now();
-      const buf = await page.screenshot({
-        type: 'png',
-        clip: { x: 0, y: 0, width: 576, height },
-        captureBeyondViewport: true,
-        optimizeForSpeed: true,
-      });
-      const tShot1 = Date.now();
+// An offer the printer never took up, or a send it never confirmed: requeue, log and notify.
+// Shared by the sweeper and the poll handler so a timeout is reported the same either way.
+function timeOutJob(job, now = Date.now()) {
+  const offered = job.status === "offered";
+  const timeoutMs = now - (offered ? job.offeredAt : job.sentAt);
+  console.warn(offered ? "[sweep->requeue offered]" : "[sweep->requeue sent]", { rid: job.restaurantId, token: job.id, timeoutMs });
+
+  // LOG: Job timeout in offered / sent state
+  logError({
+    orderId: job.orderId || job.id, // Use original order ID if available
+    restaurantId: job.restaurantId,
+    stage: offered ? 'PRINTER_POLLING' : 'PRINT_COMPLETE',
+    message: offered
+      ? `⏱ Print timeout: Printer not responding after ${Math.round(timeoutMs / 1000)}s (may be offline)`
+      : `⏱ Print timeout: No confirmation after ${Math.round(timeoutMs / 1000)}s (printer may have jammed or errored)`,
+    error: new Error(offered
+      ? 'Offer timeout - printer may be offline or not polling'
+      : 'Print timeout - printer may have failed to confirm completion'),
+    customerName: job.customerName,
+    orderNumber: job.orderNumber,
+    metadata: {
+      jobId: job.id,
+      timeoutMs,
+      status: job.status,
+    },
+  }, job.environment || 'production').catch(err => console.error('[log-error]', err));
+
+  if (offered) requeueToken(job.id, { reason: "offer_timeout" }, { attempt: false });
+  else requeueToken(job.id, { reason: "sent_timeout" });
+  notifyWebhooks("print.timeout", job, { stage: offered ? "offered" : "sent", timeoutMs });
+}
+
+function isTimedOut(job, now = Date.now()) {
+  if (job.status === "offered") return !!job.offeredAt && now - job.offeredAt > OFFER_TIMEOUT_MS;
+  if (job.status === "sent") return !!job.sentAt && now - job.sentAt > SENT_TIMEOUT_MS;
+  return false;
+}
+
+// Collect first, then time out: requeueing can dead-letter (but not remove) jobs
+function timeOutStaleJobs(q, now = Date.now()) {
+  for (const job of q.filter(j => isTimedOut(j, now))) timeOutJob(job, now);
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const q of jobsByRestaurant.values()) {
+    expireStaleJobs(q);
+    timeOutStaleJobs(q, now);
+  }
+}, 3_000);
+
+// --------------------------
+// Print outcomes (CloudPRNT confirmations and push drivers)
+// --------------------------
+
+/**
+ * The printer confirmed the job printed: mark done, log, notify, and retire it.
+ * @param {Object} job
+ * @param {Object} outcome - { serial, code, environment }
+ */
+function completeJob(job, { serial = null, code = "OK", environment = "production" } = {}) {
+  setJobStatus(job, "done", { responseCode: code });
+  console.log("[done]", { token: job.id, rid: job.restaurantId, code });
+  
+  // Debug: Check orderId
+  console.log("[print-complete-log]", { 
+    jobId: job.id, 
+    orderId: job.orderId,
+    customerName: job.customerName,
+    orderNumber: job.orderNumber
+  });
+  
+  // Add to print history if we know the printer
+  if (serial) {
+    addToPrintHistory(serial, job.restaurantId, 'completed', job.id, job.customerName, job.orderNumber);
+  } else {
+    console.warn("[print-complete-no-config]", { restaurantId: job.restaurantId });
+  }
+  
+  // LOG: Print completed successfully (fire and forget - don't block printer response)
+  console.log("[creating-print-complete-log]", {
+    orderId: job.orderId || job.id,
+    stage: 'PRINT_COMPLETE',
+    environment: environment
+  });
+  
+  // Fire and forget - don't await, don't block the printer response
+  logSuccess({
+    orderId: job.orderId || job.id,
+    restaurantId: job.restaurantId,
+    printerSerial: serial || 'unknown',
+    stage: 'PRINT_COMPLETE',
+    message: `✓ Print completed successfully${serial ? ` on ${serial}` : ''}`,
+    customerName: job.customerName,
+    orderNumber: job.orderNumber,
+    printerStatus: 'online',
+    processingTimeMs: job.offeredAt ? Date.now() - job.offeredAt : 0,
+    metadata: {
+      jobId: job.id,
+      statusCode: code,
+      printer: serial || 'unknown',
+    },
+  }, environment).then(() => {
+    console.log("[print-complete-log-created]", "Success");
+  }).catch((logErr) => {
+    console.error("[print-complete-log-error]", logErr.message || logErr);
+  });
+  
+  notifyWebhooks("print.completed", job, { code });
+  removeJob(job.id);
+}
+
+/**
+ * The printer reported a failure: log it and put the job back in line (or dead-letter it).
+ * @param {Object} job
+ * @param {Object} outcome - { serial, code, reason, environment }
+ */
+function failJob(job, { serial = null, code, reason = "printer_error", environment = "production" } = {}) {
+  console.warn("[requeue on failure]", { token: job.id, code, reason });
+  job.responseCode = code;
+  
+  // Track failure in history
+  if (serial) {
+    addToPrintHistory(serial, job.restaurantId, 'failed', job.id, job.customerName, job.orderNumber);
+    
+    // LOG: Print failed (non-blocking)
+    logError({
+      orderId: job.orderId || job.id, // Use original order ID if available
+      restaurantId: job.restaurantId,
+      printerSerial: serial,
+      stage: 'PRINT_COMPLETE',
+      message: `✗ Print failed on ${serial} with code: ${code}`,
+      error: new Error(`Printer returned error code: ${code}`),
+      customerName: job.customerName,
+      orderNumber: job.orderNumber,
+      metadata: {
+        jobId: job.id,
+        statusCode: code,
+        printer: serial,
+      },
+    }, environment).catch(err => console.error('[log-error]', err));
+  }
+  
+  requeueToken(job.id, { reason, code });
+  notifyWebhooks("print.failed", job, { code });
+}
+
+// --------------------------
+// Transports (see transports.js)
+// --------------------------
+// Printer settings pick the transport with { driver }; unknown or missing means CloudPRNT.
+// Push printers ({ driver: "escpos" | "ipp" | "file", ... }) never poll: they're listed in the
+// printer config like any other (the id stands in for the serial) and the server connects to
+// them instead, pulling jobs through the same queues, priorities and retry/dead-letter handling.
+const PUSH_INTERVAL_MS = 1_000;
+const PUSH_STATUS_INTERVAL_MS = 5_000; // probe idle printers often enough to stay "online"
+const PUSH_BACKOFF_MAX_MS = 60_000;
+const pushState = new Map(); // serial -> { busy, lastProbe, failures, retryAt }
+
+/**
+ * @param {string} serial
+ * @returns {{ transport: Object, printer: Object|null }} printer is null if its settings are incomplete
+ */
+// A printer's settings, layered like printerSettingsFor() with the first restaurant it serves
+function printerSettingsForSerial(serial) {
+  const s = String(serial).trim();
+  for (const environment of ['local', 'develop', 'production']) {
+    const mapping = (PRINTER_CONFIGS[environment] || []).find(p => String(p.serial).trim() === s);
+    if (mapping) return getSettings({ environment, restaurantId: mapping.restaurantId, serial: s });
+  }
+  const fallback = PRINTER_CONFIG.find(p => String(p.serial).trim() === s);
+  return getSettings({ restaurantId: fallback?.restaurantId, serial: s });
+}
 
-      console.log(
-        `[render] newPage=${tSetContent0 - t0}ms setContent=${tSetContent1 - tSetContent0}ms ` +
-        `measure=${tShot0 - tSetContent1}ms screenshot=${tShot1 - tShot0}ms total=${Date.now() - t0}ms`
-      );
+function transportFor(serial) {
+  const settings = printerSettingsForSerial(serial);
+  const transport = getTransport(settings.driver) || getTransport("cloudprnt");
+  return { transport, printer: transport.printer(settings) };
+}
 
-      return buf;
-    } finally {
-      await page.close().catch(() => {});
-    }
-  });
+// The printer a job went to, or the one configured for its restaurant
+function printerForJob(job) {
+  return job.servedBy || PRINTER_CONFIG.find(p => p.restaurantId === job.restaurantId)?.serial || null;
 }
 
-// Raster -> Star
-function rasterForStar(raw) {
-  const PNG_OPTS = { palette: true, colors: 2, compressionLevel: 2, effort: 1 };
-  return sharp(raw, { failOn: "none" })
-    .resize({ width: 565, kernel: "nearest" })
-    .extend({ bottom: 500, background: { r: 255, g: 255, b: 255 } })
-    .grayscale()
-    .threshold(160)
-    .png(PNG_OPTS)
-    .toBuffer();
+// What presence shows in place of the poll request
+function pushClient(transport, printer) {
+  const where = printer.uri || (printer.host ? `tcp://${printer.host}:${printer.port}` : printer.dir ? `file://${printer.dir}` : "");
+  return { ip: printer.host || (printer.uri ? new URL(printer.uri).hostname : null), userAgent: transport.name, path: where };
 }
 
-function appendFeedAndCut(buffer) {
-  const FEED_AND_CUT = Buffer.from([0x1b, 0x64, 0x02]);
-  return Buffer.concat([buffer, FEED_AND_CUT]);
+// Leave the printer alone for a while after it failed; doubles up to PUSH_BACKOFF_MAX_MS
+function backOffPushPrinter(state) {
+  state.failures++;
+  const delay = Math.min(PUSH_BACKOFF_MAX_MS, 1_000 * 2 ** (state.failures - 1));
+  state.retryAt = Date.now() + delay;
+  return delay;
 }
 
-// --------------------------
-// Render pipeline with timing
-// --------------------------
-async function renderPipelineWithTiming(html, meta = {}) {
-  const t0 = performance.now();
-  const raw = await renderHtmlToPngFast(html);
-  const t1 = performance.now();
-  const optimized = await rasterForStar(raw);
-  const t2 = performance.now();
-  const finalBuffer = appendFeedAndCut(optimized);
-  const t3 = performance.now();
+async function pumpPushPrinter(serial, transport, printer) {
+  const state = pushState.get(serial) || { busy: false, lastProbe: 0, failures: 0, retryAt: 0 };
+  pushState.set(serial, state);
+  const now = Date.now();
+  if (state.busy || now < state.retryAt) return;
 
-  const sRaw = raw.length;
-  const sOpt = optimized.length;
-  const sFinal = finalBuffer.length;
+  const job = nextJobForSerial(serial);
+  if (!job && now - state.lastProbe < PUSH_STATUS_INTERVAL_MS) return;
 
-  const ms = (n) => Math.round(n);
-  console.log(
-    `[render] ${meta.tag || ""} html→png=${ms(t1 - t0)}ms, raster=${ms(t2 - t1)}ms, cut=${ms(t3 - t2)}ms, total=${ms(t3 - t0)}ms; ` +
-    `sizes raw=${sRaw}B, raster=${sOpt}B, final=${sFinal}B`
-  );
+  state.busy = true;
+  try {
+    let printerStatus;
+    try {
+      printerStatus = await transport.status(printer);
+    } catch (e) {
+      // Unreachable isn't the job's fault: leave it queued and try the printer again later
+      const retryInMs = backOffPushPrinter(state);
+      console.warn("[push-unreachable]", { serial, transport: transport.name, error: e.message, retryInMs });
+      return;
+    }
+    state.lastProbe = Date.now();
+    markSeen(serial, pushClient(transport, printer), printerStatus);
+
+    // Same hold as CloudPRNT: don't send to a printer with its cover open, out of paper, ...
+    if (!job || printerStatus?.health === "error" || !isReadyToOffer(job)) return;
+    if (await pushJob(serial, transport, printer, job)) state.failures = 0;
+    else backOffPushPrinter(state);
+  } finally {
+    state.busy = false;
+  }
+}
 
-  return finalBuffer;
+/**
+ * Deliver one job and settle it (done, or requeued through failJob)
+ * @returns {Promise<boolean>} whether it printed
+ */
+async function pushJob(serial, transport, printer, job) {
+  const environment = job.environment || "production";
+  setJobStatus(job, "offered", { offeredAt: Date.now(), servedBy: serial });
+  addToPrintHistory(serial, job.restaurantId, 'offered', job.id, job.customerName, job.orderNumber);
+
+  let result;
+  try {
+    setJobStatus(job, "sent", { sentAt: Date.now() });
+    addToPrintHistory(serial, job.restaurantId, 'sent', job.id, job.customerName, job.orderNumber);
+    const receipt = await transport.deliver(printer, job);
+    console.log("[push]", { serial, transport: transport.name, token: job.id, rid: job.restaurantId, ...receipt });
+    // Keep the sweeper from treating a printer that's still working on it as stalled
+    result = await transport.acknowledge(printer, job, receipt, { keepAlive: () => { job.sentAt = Date.now(); } });
+  } catch (e) {
+    console.warn("[push-failed]", { serial, token: job.id, error: e.message });
+    if (jobIndex.has(job.id)) failJob(job, { serial, code: e.code || "SEND_FAILED", reason: "push_error", environment });
+    return false;
+  }
+
+  if (!jobIndex.has(job.id)) return result.ok; // settled elsewhere while we waited
+  if (!result.ok) {
+    if (result.status) markSeen(serial, pushClient(transport, printer), result.status);
+    failJob(job, { serial, code: result.code, reason: "printer_error", environment });
+    return false;
+  }
+  completeJob(job, { serial, code: result.code, environment });
+  return true;
 }
 
-// --------------------------
-// Stale-offer/sent sweeper
-// --------------------------
-const OFFER_TIMEOUT_MS = 10_000; // re-offer after 10s
-const SENT_TIMEOUT_MS  = 20_000; // consider sent stale after 20s
 setInterval(() => {
-  const now = Date.now();
-  for (const [rid, q] of jobsByRestaurant.entries()) {
-    for (const j of q) {
-      if (j.status === "offered" && j.offeredAt && now - j.offeredAt > OFFER_TIMEOUT_MS) {
-        console.warn("[sweep->requeue offered]", { rid, token: j.id, timeoutMs: now - j.offeredAt });
-        
-        // LOG: Job timeout in offered state
-        logError({
-          orderId: j.id,
-          restaurantId: rid,
-          stage: 'PRINTER_POLLING',
-          message: `⏱ Print timeout: Printer not responding after ${Math.round((now - j.offeredAt) / 1000)}s (may be offline)`,
-          error: new Error('Offer timeout - printer may be offline or not polling'),
-          customerName: j.customerName,
-          orderNumber: j.orderNumber,
-          metadata: {
-            jobId: j.id,
-            timeoutMs: now - j.offeredAt,
-            status: j.status,
-          },
-        }, 'production').catch(err => console.error('[log-error]', err));
-        
-        j.status = "queued"; j.offeredAt = null;
-      }
-      if (j.status === "sent" && j.sentAt && now - j.sentAt > SENT_TIMEOUT_MS) {
-        console.warn("[sweep->requeue sent]", { rid, token: j.id, timeoutMs: now - j.sentAt });
-        
-        // LOG: Job timeout in sent state
-        logError({
-          orderId: j.orderId || j.id, // Use original order ID if available
-          restaurantId: rid,
-          stage: 'PRINT_COMPLETE',
-          message: `⏱ Print timeout: No confirmation after ${Math.round((now - j.sentAt) / 1000)}s (printer may have jammed or errored)`,
-          error: new Error('Print timeout - printer may have failed to confirm completion'),
-          customerName: j.customerName,
-          orderNumber: j.orderNumber,
-          metadata: {
-            jobId: j.id,
-            timeoutMs: now - j.sentAt,
-            status: j.status,
-          },
-        }, 'production').catch(err => console.error('[log-error]', err));
-        
-        j.status = "queued"; j.sentAt = null;
-      }
-    }
+  for (const serial of serialToRestaurantList.keys()) {
+    const { transport, printer } = transportFor(serial);
+    if (transport.pull || !printer) continue;
+    pumpPushPrinter(serial, transport, printer).catch(e => console.error("[push-error]", serial, e));
   }
-}, 3_000);
+}, PUSH_INTERVAL_MS);
+
+// --------------------------
+// API auth
+// --------------------------
+// Routes that manage the service need "Authorization: Bearer <ADMIN_API_TOKEN>". Routes that only
+// read job data (status, events, schedules, history) also accept STATUS_API_TOKEN, which can be
+// handed to an ordering front end. A route answers 503 while none of its tokens is set.
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
+const STATUS_API_TOKEN = process.env.STATUS_API_TOKEN || "";
+
+function tokenMatches(given, token) {
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireToken(tokens, disabledMessage) {
+  return (req, res, next) => {
+    const configured = tokens.filter(Boolean);
+    if (!configured.length) return res.status(503).json({ ok: false, error: disabledMessage });
+    // EventSource can't send headers, so the token can also come as ?access_token=
+    const given = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "") || String(req.query.access_token || "");
+    if (!given || !configured.some(token => tokenMatches(given, token))) return res.status(401).json({ ok: false, error: "Unauthorized" });
+    next();
+  };
+}
+
+const requireAdmin = requireToken([ADMIN_API_TOKEN], "Admin API is disabled; set ADMIN_API_TOKEN");
+const requireStatusReader = requireToken([STATUS_API_TOKEN, ADMIN_API_TOKEN], "Status API is disabled; set STATUS_API_TOKEN or ADMIN_API_TOKEN");
 
 // --------------------------
 // Routes
@@ -581,6 +1746,7 @@ setInterval(() => {
 app.post("/api/print", async (req, res) => {
   const startTime = performance.now();
   let orderId, customerName, orderNumber, firstRestaurantId, environment, matchingPrinters;
+  let idempotencyKey = null, settleIdempotency = null, createdTokens = null;
   
   try {
     const { restaurantId, order } = req.body || {};
@@ -591,6 +1757,17 @@ app.post("/api/print", async (req, res) => {
     environment = envHeader || getEnvironmentFromOrigin(origin);
     
     console.log(`Print request from ${environment} environment (origin: ${origin})`);
+
+    // Retried submission? Hand back the original tokens instead of printing twice
+    idempotencyKey = idempotencyKeyFor(req, environment);
+    if (idempotencyKey) {
+      const claim = await claimIdempotencyKey(idempotencyKey);
+      if (claim.tokens) {
+        console.log('[idempotent-replay]', { idempotencyKey, tokens: claim.tokens });
+        return res.status(202).json({ ok: true, tokens: claim.tokens, duplicate: true });
+      }
+      settleIdempotency = claim.settle;
+    }
     
     // Reload config from DynamoDB for this environment to get latest mappings
     await reloadPrinterConfig(environment);
@@ -644,19 +1821,65 @@ app.post("/api/print", async (req, res) => {
     return res.status(400).json({ ok: false, error: "Missing restaurantId" });
   }
 
+  const restaurantIds = Array.isArray(restaurantId) ? restaurantId : [restaurantId];
+
+  // Bad priority/printAt values are request errors in every mode, so reject them before anything logs success
+  const priority = req.body.priority || "normal";
+  const schedule = resolvePrintAt(req.body, order);
+  const requestError = Object.hasOwn(PRIORITY_LEVELS, priority)
+    ? schedule.error
+    : `Invalid priority: ${priority} (expected ${Object.keys(PRIORITY_LEVELS).join(", ")})`;
+  if (requestError) {
+    // LOG: Validation failed - bad scheduling options
+    await logError({
+      orderId: orderId,
+      restaurantId: firstRestaurantId,
+      stage: 'ORDER_VALIDATION',
+      message: `Order failed: ${requestError}`,
+      error: new Error(requestError),
+      customerName: customerName,
+      orderNumber: orderNumber,
+      processingTimeMs: Math.round(performance.now() - startTime),
+    }, environment);
+
+    return res.status(400).json({ ok: false, error: requestError });
+  }
+
+  // Schema violations only warn unless a restaurant opted into strict validation
+  const validationErrors = validateOrder(order);
+  const strict = restaurantIds.some(rid => getSettings({ environment, restaurantId: rid }).orderValidation === "strict");
+  if (validationErrors.length && strict) {
+    // LOG: Validation failed - order doesn't match the schema
+    await logError({
+      orderId: orderId,
+      restaurantId: firstRestaurantId,
+      stage: 'ORDER_VALIDATION',
+      message: `Order failed: ${validationErrors.length} validation error(s): ${validationErrors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+      error: new Error('Order does not match the schema'),
+      customerName: customerName,
+      orderNumber: orderNumber,
+      metadata: { errors: validationErrors },
+      processingTimeMs: Math.round(performance.now() - startTime),
+    }, environment);
+
+    return res.status(422).json({ ok: false, error: "Invalid order", errors: validationErrors });
+  }
+  if (validationErrors.length) console.warn('[order-validation] Printing anyway (lenient):', validationErrors);
+
   // LOG: Order validation passed
   await logSuccess({
     orderId: orderId,
     restaurantId: firstRestaurantId,
     stage: 'ORDER_VALIDATION',
-    message: 'Order validation passed',
+    message: validationErrors.length
+      ? `Order validation passed with ${validationErrors.length} warning(s) (lenient): ${validationErrors.map(e => `${e.path} ${e.message}`).join('; ')}`
+      : 'Order validation passed',
     customerName: customerName,
     orderNumber: orderNumber,
+    metadata: validationErrors.length ? { warnings: validationErrors } : undefined,
     processingTimeMs: Math.round(performance.now() - startTime),
   }, environment);
 
-  const restaurantIds = Array.isArray(restaurantId) ? restaurantId : [restaurantId];
-
   // validate all ids first using environment-specific config
   const validIds = new Set(printerConfig.map(p => p.restaurantId));
   const bad = restaurantIds.filter(r => !validIds.has(r));
@@ -714,18 +1937,28 @@ app.post("/api/print", async (req, res) => {
     const id = makeId();
     const job = { 
       id, 
+      createdAt: Date.now(),
+      idempotencyKey,
+      environment,
+      priority,
+      printAt: schedule.printAt,
       orderId: orderId, // Store the original order ID for logging
       content: null, 
-      status: "queued", 
+      status: "rendering", 
+      timestamps: { rendering: Date.now() },
+      retryCount: 0,
       offeredAt: null, 
       sentAt: null, 
       restaurantId: rid, 
       customerName, 
-      orderNumber 
+      orderNumber,
+      order: order || {}, // kept so the job can be re-rendered after a restart
     };
-    queueFor(rid).push(job);
-    jobIndex.set(id, { restaurantId: rid, job });
+    job.template = templateFor(job);
+    addJob(job);
+    publishEvent("job.created", { ...toPublicJob(job), environment });
     tokens.push(id);
+    createdTokens = tokens;
     
     // Track in history: find serial(s) for this restaurantId
     const config = PRINTER_CONFIG.filter(p => p.restaurantId === rid);
@@ -758,43 +1991,67 @@ app.post("/api/print", async (req, res) => {
     processingTimeMs: Math.round(performance.now() - startTime),
   }, environment);
 
-  res.status(202).json({ ok: true, tokens });
+  res.status(202).json({ ok: true, tokens, ...(validationErrors.length && { warnings: validationErrors }) });
 
   console.log('PRINTER RECEIVED ORDER:', JSON.stringify(order, null, 2));
   console.log('FIRST ITEM MODIFIERS:', order?.items?.[0]?.selectedModifiers);
 
   (async () => {
-    try {
-      const html = generateReceiptHTML(order || {});
-      const tag = tokens.length ? `${tokens[0]}:${restaurantIds[0]}` : "batch";
-      const finalBuffer = await renderPipelineWithTiming(html, { tag });
-
-      for (const t of tokens) {
-        const ref = jobIndex.get(t);
-        if (ref?.job) { ref.job.content = finalBuffer; ref.job.status = "queued"; console.log("[render ready]", t); }
+    // Markup/text printers are rendered natively; jobs with identical HTML, paper and dither mode share one render
+    const jobs = tokens.map(t => jobIndex.get(t)?.job).filter(Boolean);
+    const htmlJobsByPage = new Map(); // ticket HTML + paper profile + dither mode -> { html, paper, dither, jobs }
+    for (const job of jobs) {
+      try {
+        const mode = renderModeFor(job);
+        if (mode === "markup") renderMarkup(job);
+        else if (mode === "text") renderEscPosText(job);
+        else {
+          const html = ticketFor(job, "html");
+          const paper = paperFor(job);
+          const dither = ditherFor(job);
+          const key = `${JSON.stringify(paper)}:${dither}\n${html}`;
+          if (!htmlJobsByPage.has(key)) htmlJobsByPage.set(key, { html, paper, dither, jobs: [] });
+          htmlJobsByPage.get(key).jobs.push(job);
+        }
+      } catch (e) {
+        console.error("ticket render failed", job.id, e);
+        if (jobIndex.has(job.id)) failRender(job);
       }
-    } catch (e) {
-      console.error("background render failed", e);
+    }
+
+    for (const { html, paper, dither, jobs: htmlJobs } of htmlJobsByPage.values()) {
+      try {
+        const tag = `${htmlJobs[0].id}:${htmlJobs[0].restaurantId}:${paper.size}`;
+        const finalBuffer = await renderPipelineWithTiming(html, { tag, paper, dither, label: receiptLabelFor(htmlJobs[0]) });
+
+        for (const job of htmlJobs) {
+          if (!jobIndex.has(job.id)) continue; // cancelled while rendering
+          job.content = finalBuffer; saveJobContent(job); setJobStatus(job, "queued"); console.log("[render ready]", job.id);
+        }
+      } catch (e) {
+        const failed = htmlJobs.filter(job => !rerenderAfterBrowserLoss(job, e));
+        if (!failed.length) continue;
+        console.error("background render failed", e);
       
-      // LOG: Render failed
-      await logError({
-        orderId: orderId,
-        restaurantId: firstRestaurantId,
-        printerSerial: matchingPrinters[0] || null,
-        stage: 'JOB_CREATION',
-        message: `Print job failed: Receipt rendering error - ${e.message}`,
-        error: e,
-        customerName: customerName,
-        orderNumber: orderNumber,
-        processingTimeMs: Math.round(performance.now() - startTime),
-      }, environment);
+        // LOG: Render failed
+        await logError({
+          orderId: orderId,
+          restaurantId: firstRestaurantId,
+          printerSerial: matchingPrinters[0] || null,
+          stage: 'JOB_CREATION',
+          message: `Print job failed: Receipt rendering error - ${e.message}`,
+          error: e,
+          customerName: customerName,
+          orderNumber: orderNumber,
+          processingTimeMs: Math.round(performance.now() - startTime),
+        }, environment);
       
-      for (const t of tokens) {
-        const ref = jobIndex.get(t);
-        if (ref?.job) ref.job.status = "failed";
+        for (const job of failed) {
+          if (jobIndex.has(job.id)) failRender(job);
+        }
       }
     }
-  })();
+  })().catch(e => console.error("background render crashed", e));
   
   } catch (error) {
     // LOG: Unexpected error in print endpoint
@@ -817,36 +2074,157 @@ app.post("/api/print", async (req, res) => {
       error: 'Internal server error',
       message: error.message 
     });
+  } finally {
+    // Release the key if this request never got as far as creating jobs
+    if (settleIdempotency) {
+      settleIdempotency(createdTokens);
+      if (!createdTokens) idempotentRequests.delete(idempotencyKey);
+      else persistIdempotencyKey(idempotencyKey, createdTokens);
+    }
+  }
+});
+
+/**
+ * GET /api/print/order/:orderId
+ * Returns the lifecycle of every print job created for an order.
+ */
+app.get("/api/print/order/:orderId", requireStatusReader, (req, res) => {
+  const jobs = findJobsByOrderId(String(req.params.orderId));
+  if (!jobs.length) return res.status(404).json({ ok: false, error: "No print jobs for that orderId" });
+  res.json({ ok: true, orderId: req.params.orderId, count: jobs.length, jobs: jobs.map(toPublicJob) });
+});
+
+/**
+ * GET /api/print/:token
+ * Returns the lifecycle of a single print job:
+ * status, per-status timestamps, the serial that took it, printer response code and retry count.
+ */
+app.get("/api/print/:token", requireStatusReader, (req, res) => {
+  const job = findJob(String(req.params.token));
+  if (!job) return res.status(404).json({ ok: false, error: "Unknown token" });
+  res.json({ ok: true, job: toPublicJob(job) });
+});
+
+/**
+ * GET /api/scheduled/:restaurantId
+ * Jobs for a restaurant that are waiting for their printAt time.
+ */
+app.get("/api/scheduled/:restaurantId", requireStatusReader, (req, res) => {
+  const now = Date.now();
+  const jobs = queueFor(req.params.restaurantId)
+    .filter(j => isScheduledLater(j, now))
+    .sort((a, b) => a.printAt - b.printAt)
+    .map(toPublicJob);
+  res.json({ ok: true, restaurantId: req.params.restaurantId, count: jobs.length, jobs });
+});
+
+/**
+ * PATCH /api/print/:token
+ * Reschedule or re-prioritize a job that hasn't printed yet.
+ * Body: { printAt?: ISO|ms|null, printBeforePickupMinutes?: number, priority?: "rush"|"normal"|"bulk" }
+ * printAt: null releases a scheduled job for printing right away.
+ */
+app.patch("/api/print/:token", requireAdmin, (req, res) => {
+  const job = jobIndex.get(String(req.params.token))?.job;
+  if (!job) return res.status(404).json({ ok: false, error: "Unknown token" });
+  if (job.status === "sent" || job.status === "offered") {
+    return res.status(409).json({ ok: false, error: `Job is already ${job.status}` });
+  }
+
+  const body = req.body || {};
+  const patch = {};
+  if ("printAt" in body || "printBeforePickupMinutes" in body) {
+    const schedule = resolvePrintAt(body, job.order);
+    if (schedule.error) return res.status(400).json({ ok: false, error: schedule.error });
+    patch.printAt = schedule.printAt;
+  }
+  if ("priority" in body) {
+    if (!Object.hasOwn(PRIORITY_LEVELS, body.priority)) return res.status(400).json({ ok: false, error: `Invalid priority: ${body.priority}` });
+    patch.priority = body.priority;
   }
+
+  Object.assign(job, patch);
+  saveJob(job);
+  publishEvent("job.updated", { ...toPublicJob(job), environment: job.environment });
+  console.log("[job updated]", { token: job.id, ...patch });
+  res.json({ ok: true, job: toPublicJob(job) });
+});
+
+/**
+ * DELETE /api/print/order/:orderId
+ * Cancels every job for an order that hasn't reached the printer.
+ * ?void=true (or body { void: true }) queues a VOID ticket for jobs that already printed.
+ */
+app.delete("/api/print/order/:orderId", requireAdmin, (req, res) => {
+  const orderId = String(req.params.orderId);
+  const jobs = findJobsByOrderId(orderId).filter(j => j.kind !== "void");
+  if (!jobs.length) return res.status(404).json({ ok: false, error: "No print jobs for that orderId" });
+
+  const voidIfPrinted = req.query.void === "true" || req.body?.void === true;
+  const results = jobs.map(job => cancelJob(job, { voidIfPrinted }));
+  logCancellation(orderId, results, jobs[0]);
+
+  res.json({ ok: true, orderId, cancelled: results.filter(r => r.result === "cancelled").length, results });
+});
+
+/**
+ * DELETE /api/print/:token
+ * Cancels a single job. Returns 409 if it already went to the printer.
+ * ?void=true (or body { void: true }) queues a VOID ticket in that case.
+ */
+app.delete("/api/print/:token", requireAdmin, (req, res) => {
+  const job = findJob(String(req.params.token));
+  if (!job) return res.status(404).json({ ok: false, error: "Unknown token" });
+
+  const voidIfPrinted = req.query.void === "true" || req.body?.void === true;
+  const result = cancelJob(job, { voidIfPrinted });
+  logCancellation(job.orderId || job.id, [result], job);
+
+  res.status(result.result === "cancelled" ? 200 : 409).json({ ok: result.result === "cancelled", ...result });
 });
 
+// The three /cloudprnt routes are the CloudPRNT transport's side of the conversation
+// (its operations don't need printer details, so they get null)
+const cloudprnt = getTransport("cloudprnt");
+
 // Poll: offer next job for this serial (round-robin across its restaurant queues)
-app.post("/cloudprnt", (req, res) => {
+app.post("/cloudprnt", async (req, res) => {
   const serial = String(req.headers["x-star-serial-number"] || "").trim();
+  const printerStatus = await cloudprnt.status(null, req.body);
 
   // record presence (printers poll every ~5s)
   if (serial) {
-    markSeen(serial, req);
+    markSeen(serial, { ip: req.ip, userAgent: req.get("user-agent"), path: req.originalUrl || req.url }, printerStatus);
+    const answered = recordClientActionResults(serial, req.body?.clientAction);
+    if (answered.length) console.log("[client-action results]", { serial, answered });
+    // Find out which media types it accepts so jobs can be served in the best one
+    queueClientActionOnce(serial, "Encodings");
   }
 
+  // Nothing to print: use the response to run any queued clientAction requests
+  const idle = () => {
+    const clientAction = serial ? takeClientActions(serial) : [];
+    if (clientAction.length) {
+      console.log("[client-action]", { serial, requests: clientAction.map(a => a.request) });
+      return res.json({ jobReady: false, clientAction });
+    }
+    return res.json({ jobReady: false });
+  };
+
   const rids = serialToRestaurantList.get(serial);
-  if (!rids) return res.json({ jobReady: false });
+  if (!rids) return idle();
+
+  // Don't hand a ticket to a printer that can't print it (paper out, cover open, ...)
+  if (printerStatus?.health === "error") return idle();
 
   // Before offering, aggressively unstick stale jobs in those queues
   const now = Date.now();
-  for (const rid of rids) {
-    const q = queueFor(rid);
-    for (const j of q) {
-      if (j.status === "offered" && j.offeredAt && now - j.offeredAt > OFFER_TIMEOUT_MS) { j.status = "queued"; j.offeredAt = null; }
-      if (j.status === "sent"    && j.sentAt    && now - j.sentAt    > SENT_TIMEOUT_MS)  { j.status = "queued"; j.sentAt = null; }
-    }
-  }
+  for (const rid of rids) timeOutStaleJobs(queueFor(rid), now);
 
   const job = nextJobForSerial(serial);
-  if (!job) return res.json({ jobReady: false });
+  if (!job) return idle();
 
-  job.status = "offered";
-  job.offeredAt = Date.now();
+  setJobStatus(job, "offered", { offeredAt: Date.now(), servedBy: serial });
   console.log("[offer]", { serial, rid: job.restaurantId, token: job.id });
   
   // Track offer in history
@@ -856,16 +2234,17 @@ app.post("/cloudprnt", (req, res) => {
   res.json({
     jobReady: true,
     jobToken: job.id,
-    mediaTypes: ["image/png"],
+    mediaTypes: negotiateMediaTypes(availableMediaTypes(job), printerEncodings(serial)),
     deleteMethod: "DELETE",
   });
 });
 
 // Printer fetches job content -> mark as 'sent'
-app.get("/cloudprnt", (req, res) => {
-  const { token, type } = req.query;
+app.get("/cloudprnt", async (req, res) => {
+  const { token } = req.query;
+  const type = String(req.query.type || MEDIA_TYPES.PNG);
   if (!token) return res.status(400).send("Missing token");
-  if (type !== "image/png") return res.status(415).send("Unsupported media type");
+  if (!Object.values(MEDIA_TYPES).includes(type)) return res.status(415).send("Unsupported media type");
 
   const ref = jobIndex.get(String(token));
   if (!ref) {
@@ -874,27 +2253,39 @@ app.get("/cloudprnt", (req, res) => {
   }
 
   const job = ref.job;
-  if (!job.content) {
+  if (!hasRenderedContent(job)) {
     console.log("[get not-ready]", { token: job.id, rid: ref.restaurantId, status: job.status });
     
     // Only log if this happens repeatedly - otherwise too noisy
     return res.json({ jobReady: false });
   }
 
+  let delivery;
+  try {
+    delivery = await cloudprnt.deliver(null, job, { format: type });
+  } catch (e) {
+    console.error("[convert-failed]", { token: job.id, type, error: e.message });
+    return res.status(500).send("Conversion failed");
+  }
+  if (!delivery) return res.status(415).send("Unsupported media type");
+  const buf = delivery.data;
+  if (!jobIndex.has(job.id)) {
+    console.log("[get cancelled]", { token: job.id }); // cancelled while it was being encoded
+    return res.sendStatus(404);
+  }
+
   // Mark sent (printer has fetched data)
-  job.status = "sent";
-  job.sentAt = Date.now();
+  setJobStatus(job, "sent", { sentAt: Date.now(), mediaType: type });
   
-  // Track sent in history - find serial from config
-  const config = PRINTER_CONFIG.find(p => p.restaurantId === ref.restaurantId);
-  if (config) {
-    addToPrintHistory(config.serial, ref.restaurantId, 'sent', job.id, job.customerName, job.orderNumber);
+  // Track sent in history
+  const serial = printerForJob(job);
+  if (serial) {
+    addToPrintHistory(serial, ref.restaurantId, 'sent', job.id, job.customerName, job.orderNumber);
   }
 
   // Don't log content fetch - too noisy
-  console.log("[serve]", { token: job.id, rid: ref.restaurantId, size: job.content.length });
-  const buf = job.content;
-  res.setHeader("Content-Type", "image/png");
+  console.log("[serve]", { token: job.id, rid: ref.restaurantId, type, size: buf.length });
+  res.setHeader("Content-Type", type);
   res.setHeader("Content-Length", String(buf.length));
   res.send(buf);
 });
@@ -904,97 +2295,19 @@ app.delete("/cloudprnt", async (req, res) => {
   try {
     const { token, code } = req.query;
     if (!token) return res.status(400).send("Missing token");
-    const codeStr = String(code || "").toUpperCase();
 
     const ref = jobIndex.get(String(token));
     if (!ref) { console.warn("[delete-missing]", { token }); return res.sendStatus(200); }
 
-    const environment = getEnvironmentFromOrigin(req.headers.origin || req.headers.referer || '');
+    // Printers poll without an Origin, so use the environment the job was created in
+    const environment = ref.job.environment || 'production';
 
-    if (codeStr === "OK" || codeStr.startsWith("2")) {
-      ref.job.status = "done";
-      console.log("[done]", { token: ref.job.id, rid: ref.restaurantId, code: codeStr });
-      
-      // Debug: Check orderId
-      console.log("[print-complete-log]", { 
-        jobId: ref.job.id, 
-        orderId: ref.job.orderId,
-        customerName: ref.job.customerName,
-        orderNumber: ref.job.orderNumber
-      });
-      
-      // Track completion in history
-      const config = PRINTER_CONFIG.find(p => p.restaurantId === ref.restaurantId);
-      console.log("[config-lookup]", { 
-        restaurantId: ref.restaurantId, 
-        configFound: !!config,
-        totalConfigs: PRINTER_CONFIG.length 
-      });
-      
-      // Add to print history if config exists
-      if (config) {
-        addToPrintHistory(config.serial, ref.restaurantId, 'completed', ref.job.id, ref.job.customerName, ref.job.orderNumber);
-      } else {
-        console.warn("[print-complete-no-config]", { restaurantId: ref.restaurantId });
-      }
-      
-      // LOG: Print completed successfully (fire and forget - don't block printer response)
-      console.log("[creating-print-complete-log]", {
-        orderId: ref.job.orderId || ref.job.id,
-        stage: 'PRINT_COMPLETE',
-        environment: environment
-      });
-      
-      // Fire and forget - don't await, don't block the printer response
-      logSuccess({
-        orderId: ref.job.orderId || ref.job.id,
-        restaurantId: ref.restaurantId,
-        printerSerial: config?.serial || 'unknown',
-        stage: 'PRINT_COMPLETE',
-        message: `✓ Print completed successfully${config ? ` on ${config.serial}` : ''}`,
-        customerName: ref.job.customerName,
-        orderNumber: ref.job.orderNumber,
-        printerStatus: 'online',
-        processingTimeMs: ref.job.offeredAt ? Date.now() - ref.job.offeredAt : 0,
-        metadata: {
-          jobId: ref.job.id,
-          statusCode: codeStr,
-          printer: config?.serial || 'unknown',
-        },
-      }, environment).then(() => {
-        console.log("[print-complete-log-created]", "Success");
-      }).catch((logErr) => {
-        console.error("[print-complete-log-error]", logErr.message || logErr);
-      });
-      
-      removeJob(String(token));
+    const serial = printerForJob(ref.job);
+    const result = await cloudprnt.acknowledge(null, ref.job, code);
+    if (result.ok) {
+      completeJob(ref.job, { serial, code: result.code, environment });
     } else {
-      console.warn("[requeue on delete]", { token: ref.job.id, code: codeStr });
-      
-      // Track failure in history
-      const config = PRINTER_CONFIG.find(p => p.restaurantId === ref.restaurantId);
-      if (config) {
-        addToPrintHistory(config.serial, ref.restaurantId, 'failed', ref.job.id, ref.job.customerName, ref.job.orderNumber);
-        
-        // LOG: Print failed (non-blocking)
-        logError({
-          orderId: ref.job.orderId || ref.job.id, // Use original order ID if available
-          restaurantId: ref.restaurantId,
-          printerSerial: config.serial,
-          stage: 'PRINT_COMPLETE',
-          message: `✗ Print failed on ${config.serial} with code: ${codeStr}`,
-          error: new Error(`Printer returned error code: ${codeStr}`),
-          customerName: ref.job.customerName,
-          orderNumber: ref.job.orderNumber,
-          metadata: {
-            jobId: ref.job.id,
-            statusCode: codeStr,
-            printer: config.serial,
-          },
-        }, environment).catch(err => console.error('[log-error]', err));
-      }
-      
-      requeueToken(String(token));
+      failJob(ref.job, { serial, code: result.code, environment });
     }
     
     // Send response after logging completes
@@ -1005,10 +2318,42 @@ app.delete("/cloudprnt", async (req, res) => {
   }
 });
 
+// Logo for Star markup receipts ([image: url ...] needs something the printer can fetch).
+// ?restaurant=<id>&environment=<env> serves that restaurant's branding logo.
+app.get("/assets/logo.png", (req, res) => {
+  const { restaurant, environment } = req.query;
+  const logo = restaurant
+    ? loadBranding(getSettings({ environment: environment || undefined, restaurantId: String(restaurant) }).branding).logo
+    : null;
+  res.setHeader("Content-Type", logo ? logo.type : "image/png");
+  res.setHeader("Cache-Control", "public, max-age=86400");
+  res.send(logo ? logo.data : Buffer.from(base64, "base64"));
+});
+
+// Check a receipt template before pointing a restaurant's branding at it
+app.post("/api/templates/validate", express.text({ type: ["text/*", "application/octet-stream"], limit: "128kb" }), (req, res) => {
+  const source = typeof req.body === "string" ? req.body : req.body?.template;
+  res.json(validateTemplate(source));
+});
+
+// Chromium supervisor, page pool and render cache usage
+app.get("/api/render/stats", (req, res) => {
+  res.json({ ok: true, browser: browserSupervisor.stats(), pool: pagePool.stats(), cache: renderCache.stats() });
+});
+
 // Debug helpers
-app.get("/debug/queue/:rid", (req, res) => {
+app.get("/debug/queue/:rid", requireAdmin, (req, res) => {
   const q = queueFor(req.params.rid);
-  res.json(q.map(j => ({ id: j.id, status: j.status, hasContent: !!j.content, offeredAt: j.offeredAt, sentAt: j.sentAt })));
+  const now = Date.now();
+  res.json(q.map(j => ({
+    id: j.id,
+    status: j.status,
+    hasContent: hasRenderedContent(j),
+    offeredAt: j.offeredAt,
+    sentAt: j.sentAt,
+    priority: j.priority || "normal",
+    effectivePriority: Number(effectivePriority(j, now).toFixed(2)),
+  })));
 });
 app.get("/debug/serial/:serial", (req, res) => {
   res.json({ restaurants: serialToRestaurantList.get(String(req.params.serial).trim()) || [] });
@@ -1120,21 +2465,6 @@ app.get("/api/printers/online", (req, res) => {
  * Returns every configured printer with status online/offline and last seen info if known.
  */
 app.get("/api/printers", (req, res) => {
-  // Helper to find which environment(s) a serial exists in
-  const findEnvironments = (serial) => {
-    const envs = new Set();
-    
-    // Check each environment's config for this serial
-    for (const [env, config] of Object.entries(PRINTER_CONFIGS)) {
-      const hasSerial = config.some(p => String(p.serial).trim() === serial);
-      if (hasSerial) {
-        envs.add(env);
-      }
-    }
-    
-    return Array.from(envs);
-  };
-  
   // Gather unique serials from ALL environments, not just production
   const uniqueSerials = new Set();
   for (const config of Object.values(PRINTER_CONFIGS)) {
@@ -1144,7 +2474,7 @@ app.get("/api/printers", (req, res) => {
   const out = Array.from(uniqueSerials).map((serial) => {
     const rec = seenBySerial.get(serial);
     const restaurants = serialToRestaurantList.get(serial) || [];
-    const environments = findEnvironments(serial);
+    const environments = environmentsForSerial(serial);
     
     if (!rec) {
       return { 
@@ -1170,7 +2500,7 @@ app.get("/api/printers", (req, res) => {
     if (!uniqueSerials.has(serial)) {
       const base = toPublicPresence(rec);
       const restaurants = serialToRestaurantList.get(serial) || [];
-      const environments = findEnvironments(serial);
+      const environments = environmentsForSerial(serial);
       out.push({ 
         ...base, 
         environments,
@@ -1189,6 +2519,46 @@ app.get("/api/printers", (req, res) => {
   res.json({ ok: true, count: out.length, printers: out });
 });
 
+const MAX_EVENT_SUBSCRIBERS = envCount("MAX_EVENT_SUBSCRIBERS", 50, { min: 1 });
+let eventSubscribers = 0;
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of job and printer events.
+ * Filters (comma-separated): ?restaurantId=&serial=&environment=
+ * Resume with the Last-Event-ID header (or ?lastEventId=).
+ */
+app.get("/api/events", requireStatusReader, (req, res) => {
+  if (eventSubscribers >= MAX_EVENT_SUBSCRIBERS) {
+    return res.status(429).json({ ok: false, error: `Too many event subscribers (max ${MAX_EVENT_SUBSCRIBERS})` });
+  }
+  eventSubscribers++;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let a proxy buffer the stream
+  });
+  res.flushHeaders();
+
+  const matches = eventFilter(req.query, { restaurantsForSerial: (serial) => serialToRestaurantList.get(serial) || [] });
+  const send = (event) => {
+    if (!matches(event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+  if (lastEventId) eventsSince(lastEventId).forEach(send);
+
+  const unsubscribe = subscribeEvents(send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15_000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    eventSubscribers--;
+  });
+});
+
 // Optional: raw presence dump for debugging
 app.get("/debug/seen", (req, res) => {
   const all = Array.from(seenBySerial.values()).map(toPublicPresence);
@@ -1208,7 +2578,7 @@ app.get("/api/printers/debug/config", (req, res) => {
  * GET /api/printers/:serial/history
  * Returns print history for a specific printer serial number.
  */
-app.get("/api/printers/:serial/history", (req, res) => {
+app.get("/api/printers/:serial/history", requireStatusReader, (req, res) => {
   const serial = String(req.params.serial).trim();
   const history = getPrintHistory(serial);
   const restaurants = serialToRestaurantList.get(serial) || [];
@@ -1222,6 +2592,34 @@ app.get("/api/printers/:serial/history", (req, res) => {
   });
 });
 
+/**
+ * GET /api/printers/:serial/client-actions
+ * Queued, in-flight and answered CloudPRNT clientAction requests for a printer.
+ */
+app.get("/api/printers/:serial/client-actions", requireAdmin, (req, res) => {
+  const serial = String(req.params.serial).trim();
+  res.json({ ok: true, serial, ...getClientInfo(serial) });
+});
+
+/**
+ * POST /api/printers/:serial/client-actions
+ * Queue clientAction requests for the printer's next idle poll.
+ * Body: { request, options? } or { actions: [{ request, options? }, ...] }
+ */
+app.post("/api/printers/:serial/client-actions", requireAdmin, (req, res) => {
+  const serial = String(req.params.serial).trim();
+  const actions = Array.isArray(req.body?.actions) ? req.body.actions : [req.body || {}];
+  try {
+    // Check the whole batch first so a bad entry doesn't leave the ones before it queued
+    actions.forEach(a => validateClientAction(a?.request, a?.options));
+    const queued = actions.map(a => queueClientAction(serial, a.request, a.options));
+    console.log("[client-action queued]", { serial, requests: queued.map(a => a.request) });
+    res.status(202).json({ ok: true, serial, queued });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/printers/reload-config
  * Manually trigger a reload of printer configuration from DynamoDB for all environments
@@ -1229,6 +2627,7 @@ app.get("/api/printers/:serial/history", (req, res) => {
 app.post("/api/printers/reload-config", async (req, res) => {
   try {
     console.log('Manually reloading printer configs for all environments...');
+    reloadSettings();
     await Promise.all([
       reloadPrinterConfig('local', true), // Force reload
       reloadPrinterConfig('develop', true), // Force reload
@@ -1250,6 +2649,111 @@ app.post("/api/printers/reload-config", async (req, res) => {
   }
 });
 
+// --------------------------
+// Dead-letter endpoints
+// --------------------------
+
+/**
+ * GET /api/dead-letter
+ * Jobs that exceeded MAX_PRINT_ATTEMPTS, with their failure history.
+ * Optional filters: ?restaurantId=&environment=
+ */
+app.get("/api/dead-letter", requireAdmin, (req, res) => {
+  const { restaurantId, environment } = req.query;
+  const jobs = [];
+  for (const { job } of jobIndex.values()) {
+    if (job.status !== "dead_letter") continue;
+    if (restaurantId && job.restaurantId !== restaurantId) continue;
+    if (environment && job.environment !== environment) continue;
+    jobs.push(toPublicJob(job));
+  }
+  res.json({ ok: true, maxAttempts: MAX_PRINT_ATTEMPTS, count: jobs.length, jobs });
+});
+
+/**
+ * POST /api/dead-letter/:token/retry
+ * Gives a dead-lettered job a fresh set of attempts (failure history is kept).
+ */
+app.post("/api/dead-letter/:token/retry", requireAdmin, (req, res) => {
+  const job = jobIndex.get(String(req.params.token))?.job;
+  if (!job || job.status !== "dead_letter") return res.status(404).json({ ok: false, error: "No dead-lettered job with that token" });
+  setJobStatus(job, "requeued", { retryCount: 0 });
+  console.log("[dead-letter retry]", { token: job.id, rid: job.restaurantId });
+  res.json({ ok: true, job: toPublicJob(job) });
+});
+
+/**
+ * DELETE /api/dead-letter/:token
+ * Discards a dead-lettered job for good.
+ */
+app.delete("/api/dead-letter/:token", requireAdmin, (req, res) => {
+  const job = jobIndex.get(String(req.params.token))?.job;
+  if (!job || job.status !== "dead_letter") return res.status(404).json({ ok: false, error: "No dead-lettered job with that token" });
+  setJobStatus(job, "discarded");
+  removeJob(job.id);
+  console.log("[dead-letter discard]", { token: job.id, rid: job.restaurantId });
+  res.json({ ok: true, job: toPublicJob(job) });
+});
+
+// --------------------------
+// Webhook endpoints
+// --------------------------
+
+app.use("/api/webhooks", requireAdmin);
+
+/**
+ * GET /api/webhooks
+ * Lists webhook subscriptions (secrets are masked).
+ */
+app.get("/api/webhooks", (req, res) => {
+  const webhooks = listWebhooks();
+  res.json({ ok: true, count: webhooks.length, webhooks });
+});
+
+/**
+ * POST /api/webhooks
+ * Body: { url, restaurantId?, environment?, events?: string[], secret? }
+ * Returns the subscription including its signing secret (only shown once).
+ */
+app.post("/api/webhooks", (req, res) => {
+  try {
+    const webhook = addWebhook(req.body || {});
+    console.log('[webhooks] Added subscription', { id: webhook.id, url: webhook.url });
+    res.status(201).json({ ok: true, webhook });
+  } catch (error) {
+    res.status(400).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ */
+app.delete("/api/webhooks/:id", (req, res) => {
+  if (!removeWebhook(req.params.id)) return res.status(404).json({ ok: false, error: "Unknown webhook" });
+  res.json({ ok: true });
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a subscription (newest first), including every attempt.
+ */
+app.get("/api/webhooks/:id/deliveries", (req, res) => {
+  const deliveries = getWebhookDeliveries(req.params.id);
+  res.json({ ok: true, count: deliveries.length, deliveries });
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Sends a signed test event to one subscription.
+ */
+app.post("/api/webhooks/:id/test", (req, res) => {
+  if (!listWebhooks().some(w => w.id === req.params.id)) {
+    return res.status(404).json({ ok: false, error: "Unknown webhook" });
+  }
+  dispatchWebhook("print.completed", { test: true, token: "test", status: "done" }, { only: req.params.id });
+  res.status(202).json({ ok: true });
+});
+
 // --------------------------
 // Startup & Shutdown (HTTP + HTTPS)
 // --------------------------
@@ -1264,14 +2768,25 @@ const FORCE_REDIRECT = (process.env.FORCE_HTTP_TO_HTTPS ?? "true").toLowerCase()
 let httpServer = null;
 let httpsServer = null;
 
-// Warm Chromium at boot (non-blocking)
+loadWebhooks();
+
+// Warm Chromium and the render page pool at boot (non-blocking)
 (async () => {
-  try { await getBrowser(); console.log("Chromium warmed"); } 
+  try { await pagePool.warm(); console.log(`Chromium warmed (${pagePool.stats().idle} render pages)`); }
   catch (e) { console.warn("Chromium warm-up failed:", e?.message || e); }
 })();
 
-// Load printer configs from DynamoDB for all environments at boot
+// Restore persisted jobs right away so status lookups and idempotent retries see them, but
+// render the ones that need it only once the DynamoDB printer configs are in: rendering picks
+// the printer's settings, which would otherwise come from the fallback config.
 (async () => {
+  let pending = [];
+  try {
+    pending = restoreJobs();
+  } catch (e) {
+    console.error("Job restore failed:", e?.message || e);
+  }
+
   console.log('Loading printer configs for all environments at startup...');
   await Promise.all([
     reloadPrinterConfig('local'),
@@ -1279,11 +2794,20 @@ let httpsServer = null;
     reloadPrinterConfig('production')
   ]);
   console.log('All environment configs loaded');
+
+  try {
+    for (const job of pending) {
+      if (jobIndex.has(job.id) && !isExpired(job)) await renderJob(job); // expired ones are cleared by the sweeper
+    }
+  } catch (e) {
+    console.error("Restored job render failed:", e?.message || e);
+  }
 })();
 
 // Reload configs for all environments every 5 minutes to pick up changes
 setInterval(async () => {
   console.log('Reloading printer configs for all environments...');
+  reloadSettings();
   await Promise.all([
     reloadPrinterConfig('local'),
     reloadPrinterConfig('develop'),
@@ -1339,7 +2863,7 @@ if (SSL_KEY && SSL_CERT && fs.existsSync(SSL_KEY) && fs.existsSync(SSL_CERT)) {
 
 // Graceful shutdown
 async function closeBrowser() {
-  try { if (browserPromise) (await browserPromise).close(); } catch {}
+  await browserSupervisor.close();
 }
 async function shutdown() {
   try { await closeBrowser(); } catch {}
@@ -0,0 +1,199 @@
+// ipp-driver.js
+// Push-mode output for office/laser printers over IPP (Internet Printing Protocol).
+// Jobs go out with Print-Job as PDF (default) or PNG, then Get-Job-Attributes is
+// polled until the printer says the job completed, was aborted or was canceled.
+import zlib from 'zlib';
+import ipp from 'ipp';
+import { pngToRasterRows } from './star-encodings.js';
+import { healthFromFlags } from './cloudprnt-status.js';
+
+export const IPP_FORMATS = {
+  PDF: 'application/pdf',
+  PNG: 'image/png',
+};
+
+const REQUEST_TIMEOUT_MS = 15_000;
+const JOB_POLL_INTERVAL_MS = 2_000;
+const JOB_TIMEOUT_MS = 5 * 60_000; // laser printers can sit warming up or behind other jobs
+const FINISHED_JOB_STATES = ['completed', 'aborted', 'canceled'];
+
+// printer-state-reasons (minus their -error/-warning/-report suffix) -> status flag names
+const REASON_FLAGS = {
+  'media-empty': 'paperEmpty',
+  'media-needed': 'paperEmpty',
+  'media-low': 'paperNearEnd',
+  'door-open': 'coverOpen',
+  'cover-open': 'coverOpen',
+  'media-jam': 'mechanicalError',
+  'offline': 'offline',
+  'shutdown': 'offline',
+};
+
+function execute(uri, operation, message) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${operation} to ${uri} timed out`)), REQUEST_TIMEOUT_MS);
+    ipp.Printer(uri).execute(operation, message, (err, res) => {
+      clearTimeout(timer);
+      if (err) return reject(err);
+      if (!String(res.statusCode).startsWith('successful')) {
+        const error = new Error(`${operation} failed: ${res.statusCode}`);
+        error.code = res.statusCode;
+        return reject(error);
+      }
+      resolve(res);
+    });
+  });
+}
+
+const asList = (value) => (value == null ? [] : [].concat(value));
+
+/**
+ * Printer state via Get-Printer-Attributes
+ * @param {string} uri - e.g. ipp://192.168.1.60/ipp/print
+ * @returns {Promise<Object>} { statusText, flags, health, problems } like parsePollStatus
+ * @throws if the printer can't be reached
+ */
+export async function getIppPrinterStatus(uri) {
+  const res = await execute(uri, 'Get-Printer-Attributes', {
+    'operation-attributes-tag': { 'requested-attributes': ['printer-state', 'printer-state-reasons'] },
+  });
+  const attrs = res['printer-attributes-tag'] || {};
+  const reasons = asList(attrs['printer-state-reasons'])
+    .map(r => String(r).replace(/-(error|warning|report)$/, ''))
+    .filter(r => r !== 'none');
+
+  const flags = {};
+  for (const reason of reasons) {
+    if (REASON_FLAGS[reason]) flags[REASON_FLAGS[reason]] = true;
+  }
+  return {
+    statusCode: null,
+    statusText: [attrs['printer-state'], ...reasons].filter(Boolean).join(', ') || null,
+    flags,
+    ...healthFromFlags(flags),
+  };
+}
+
+/**
+ * Submit a document with Print-Job
+ * @param {string} uri
+ * @param {Buffer} data - document bytes
+ * @param {Object} options - { format (IPP_FORMATS value), jobName }
+ * @returns {Promise<number>} the printer's job-id
+ */
+export async function printIpp(uri, data, { format = IPP_FORMATS.PDF, jobName = 'Order' } = {}) {
+  const res = await execute(uri, 'Print-Job', {
+    'operation-attributes-tag': {
+      'requesting-user-name': 'vessale',
+      'job-name': jobName,
+      'document-format': format,
+    },
+    data,
+  });
+  const jobId = res['job-attributes-tag']?.['job-id'];
+  if (jobId == null) throw new Error('Print-Job response had no job-id');
+  return jobId;
+}
+
+/**
+ * Poll Get-Job-Attributes until the job finishes
+ * @param {string} uri
+ * @param {number} jobId
+ * @param {Object} options
+ * @param {Function} options.onPoll - called with the job-state after each unfinished poll
+ * @returns {Promise<{ state: string, reasons: string[] }>} state is 'completed', 'aborted',
+ *   'canceled', or 'timeout' if the printer never finished it
+ */
+export async function waitForIppJob(uri, jobId, { onPoll } = {}) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const res = await execute(uri, 'Get-Job-Attributes', {
+      'operation-attributes-tag': { 'job-id': jobId, 'requested-attributes': ['job-state', 'job-state-reasons'] },
+    });
+    const attrs = res['job-attributes-tag'] || {};
+    const state = attrs['job-state'];
+    if (FINISHED_JOB_STATES.includes(state)) {
+      return { state, reasons: asList(attrs['job-state-reasons']).filter(r => r !== 'none') };
+    }
+    if (onPoll) onPoll(state);
+    await new Promise(r => setTimeout(r, JOB_POLL_INTERVAL_MS));
+  }
+  return { state: 'timeout', reasons: [] };
+}
+
+// --------------------------
+// PNG -> PDF
+// --------------------------
+const LETTER = { width: 612, height: 792 }; // points
+const MARGIN = 36;
+
+/**
+ * Wrap a rendered receipt in a Letter-size PDF, at its thermal printer size (203 dpi),
+ * centered at the top and continued on more pages if it's long.
+ * @param {Buffer} png - rendered receipt
+ * @param {Object} options - { dpi }
+ * @returns {Promise<Buffer>}
+ */
+export async function pngToPdf(png, { dpi = 203 } = {}) {
+  const { bytesPerLine, rows: allRows } = await pngToRasterRows(png);
+  const width = bytesPerLine * 8;
+
+  // The Star pipeline pads the bottom with white; don't print a blank page for it
+  let last = allRows.length;
+  while (last > 1 && allRows[last - 1].every(b => b === 0)) last--;
+  const rows = allRows.slice(0, last);
+
+  const scale = 72 / dpi;
+  const rowsPerPage = Math.floor((LETTER.height - 2 * MARGIN) / scale);
+  const pages = [];
+  for (let y = 0; y < rows.length; y += rowsPerPage) pages.push(rows.slice(y, y + rowsPerPage));
+
+  const objects = []; // index + 1 = object number
+  const add = (body) => { objects.push(body); return objects.length; };
+  const catalog = add(null);
+  const pagesObj = add(null);
+  const kids = [];
+
+  for (const pageRows of pages) {
+    const image = zlib.deflateSync(Buffer.concat(pageRows));
+    const imageObj = add(Buffer.concat([
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${pageRows.length} ` +
+        `/ColorSpace /DeviceGray /BitsPerComponent 1 /Decode [1 0] /Filter /FlateDecode /Length ${image.length} >>\nstream\n`),
+      image,
+      Buffer.from('\nendstream'),
+    ]));
+    const w = (width * scale).toFixed(2);
+    const h = (pageRows.length * scale).toFixed(2);
+    const x = ((LETTER.width - width * scale) / 2).toFixed(2);
+    const y = (LETTER.height - MARGIN - pageRows.length * scale).toFixed(2);
+    const content = `q ${w} 0 0 ${h} ${x} ${y} cm /Im0 Do Q`;
+    const contentObj = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    kids.push(add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${LETTER.width} ${LETTER.height}] ` +
+      `/Resources << /XObject << /Im0 ${imageObj} 0 R >> >> /Contents ${contentObj} 0 R >>`));
+  }
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+  objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  let offset = parts[0].length;
+  const offsets = [];
+  objects.forEach((body, i) => {
+    const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n')]);
+    offsets.push(offset);
+    parts.push(chunk);
+    offset += chunk.length;
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+  ].join('\n');
+  parts.push(Buffer.from(xref + '\n'));
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,163 @@
+// job-store.js
+// Durable storage for print jobs so queued orders survive a restart.
+// Job metadata goes to an append-only JSONL journal; rendered content is
+// written next to it as one file per job. The journal also keeps the idempotency
+// keys of recent /api/print requests, so a retry after a restart doesn't print twice.
+import fs from 'fs';
+import path from 'path';
+
+const STORE_DIR = process.env.JOB_STORE_DIR || './data/jobs';
+const JOURNAL_FILE = path.join(STORE_DIR, 'journal.jsonl');
+const COMPACT_AFTER_LINES = 5000; // rewrite the journal once it grows past this
+
+let journalLines = 0;
+const liveJobs = new Map(); // id -> serialized job (mirror of what the journal replays to)
+const liveKeys = new Map(); // idempotency key -> { createdAt, expiresAt, tokens }
+
+function ensureDir() {
+  fs.mkdirSync(STORE_DIR, { recursive: true });
+}
+
+function contentPath(id) {
+  return path.join(STORE_DIR, `${id}.bin`);
+}
+
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+/** Strip the rendered buffer (stored separately) and derived encodings from a job record */
+function serializeJob(job) {
+  const { content, formats, ...meta } = job;
+  return { ...meta, hasContent: !!content };
+}
+
+function appendRecord(record) {
+  try {
+    ensureDir();
+    fs.appendFileSync(JOURNAL_FILE, JSON.stringify(record) + '\n');
+    journalLines++;
+    if (journalLines > COMPACT_AFTER_LINES) compactJournal();
+  } catch (error) {
+    // Don't throw - a full disk shouldn't stop printers from printing
+    console.error('[job-store] Failed to write journal:', error.message);
+  }
+}
+
+/** Rewrite the journal so it only holds one record per live job and unexpired key */
+function compactJournal() {
+  const now = Date.now();
+  for (const [key, entry] of liveKeys) if (!(entry.expiresAt > now)) liveKeys.delete(key);
+  const lines = [
+    ...Array.from(liveJobs.values()).map(job => JSON.stringify({ op: 'put', job })),
+    ...Array.from(liveKeys, ([key, entry]) => JSON.stringify({ op: 'key', key, ...entry })),
+  ];
+  writeFileAtomic(JOURNAL_FILE, lines.length ? lines.join('\n') + '\n' : '');
+  journalLines = lines.length;
+}
+
+/**
+ * Replay the journal and return every job that had not finished before shutdown.
+ * Rendered content is read back from disk; jobs whose content file is missing
+ * come back with content = null so the caller can re-render them.
+ * @returns {Object[]} jobs in creation order
+ */
+export function loadJobs() {
+  ensureDir();
+  liveJobs.clear();
+  liveKeys.clear();
+
+  if (fs.existsSync(JOURNAL_FILE)) {
+    const lines = fs.readFileSync(JOURNAL_FILE, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        console.warn('[job-store] Skipping corrupt journal line');
+        continue;
+      }
+      if (record.op === 'put' && record.job?.id) liveJobs.set(record.job.id, record.job);
+      if (record.op === 'del') liveJobs.delete(record.id);
+      if (record.op === 'key' && record.key) {
+        const { createdAt, expiresAt, tokens } = record;
+        liveKeys.set(record.key, { createdAt, expiresAt, tokens });
+      }
+    }
+  }
+
+  compactJournal();
+
+  const jobs = [];
+  for (const meta of liveJobs.values()) {
+    const { hasContent, ...job } = meta;
+    job.content = null;
+    if (hasContent) {
+      try {
+        job.content = fs.readFileSync(contentPath(job.id));
+      } catch {
+        console.warn('[job-store] Missing content for job', job.id);
+      }
+    }
+    jobs.push(job);
+  }
+
+  console.log(`[job-store] Loaded ${jobs.length} unfinished job(s) from ${STORE_DIR}`);
+  return jobs;
+}
+
+/**
+ * Persist the current state of a job (status, timestamps, ...).
+ * Content is only written when it changed; see saveJobContent.
+ * @param {Object} job
+ */
+export function saveJob(job) {
+  const record = serializeJob(job);
+  liveJobs.set(job.id, record);
+  appendRecord({ op: 'put', job: record });
+}
+
+/**
+ * Persist a job's rendered content, then its metadata.
+ * @param {Object} job - job with a Buffer in job.content
+ */
+export function saveJobContent(job) {
+  try {
+    ensureDir();
+    writeFileAtomic(contentPath(job.id), job.content);
+  } catch (error) {
+    console.error('[job-store] Failed to write content for', job.id, error.message);
+  }
+  saveJob(job);
+}
+
+/**
+ * Forget a job once it has left the queue for good.
+ * @param {string} id - job token
+ */
+export function deleteJob(id) {
+  liveJobs.delete(id);
+  appendRecord({ op: 'del', id });
+  fs.promises.unlink(contentPath(id)).catch(() => {});
+}
+
+/**
+ * Remember which jobs an idempotency key created, until expiresAt.
+ * @param {string} key
+ * @param {Object} entry - { createdAt, expiresAt, tokens: string[] }
+ */
+export function saveIdempotencyKey(key, { createdAt, expiresAt, tokens }) {
+  liveKeys.set(key, { createdAt, expiresAt, tokens });
+  appendRecord({ op: 'key', key, createdAt, expiresAt, tokens });
+}
+
+/**
+ * Idempotency keys that were still in their window at the last loadJobs()
+ * @returns {Object[]} [{ key, createdAt, expiresAt, tokens }]
+ */
+export function loadIdempotencyKeys() {
+  return Array.from(liveKeys, ([key, entry]) => ({ key, ...entry }));
+}
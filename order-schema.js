@@ -0,0 +1,111 @@
+// order-schema.js
+// The order payload POST /api/print accepts, and a validator that reports every
+// violation by path (e.g. "order.items[0].price") so callers can fix their payloads
+// instead of getting a receipt with $0.00 or "Item" on it.
+// Optional fields may be null or left out; fields not listed here are ignored.
+
+const text = { type: 'string' };
+const id = { type: ['string', 'number'] };
+const amount = { type: 'number', min: 0 };
+
+export const ORDER_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    orderId: id,
+    id,
+    orderNumber: id,
+    restaurantName: text,
+    pickup: { type: 'boolean' },
+    driverName: text,
+    driverPhone: text,
+    providerName: text,
+    estimatePickupTime: text,
+    deliveryInstructions: text,
+    customerDetails: {
+      type: 'object',
+      properties: { name: text, address: text, city: text, state: text, zip: id },
+    },
+    items: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: true,
+        properties: {
+          name: { type: 'string', required: true, minLength: 1 },
+          quantity: { type: 'integer', min: 1 },
+          price: { ...amount, required: true },
+          modifierTotal: { type: 'number' },
+          specialInstructions: text,
+          selectedModifiers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: true,
+              properties: {
+                modifierName: { type: 'string', required: true, minLength: 1 },
+                modifierPrice: amount,
+              },
+            },
+          },
+        },
+      },
+    },
+    deliveryFee: amount,
+    serviceFee: amount,
+    processingFee: amount,
+    total: { ...amount, required: true },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'NaN';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function check(value, schema, path, errors) {
+  if (value === undefined || value === null) {
+    if (schema.required) errors.push({ path, message: 'is required' });
+    return;
+  }
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+    return;
+  }
+  if (schema.min !== undefined && value < schema.min) errors.push({ path, message: `must be at least ${schema.min}` });
+  if (schema.minLength && value.trim().length < schema.minLength) errors.push({ path, message: 'must not be empty' });
+
+  if (types.includes('object')) {
+    for (const [key, field] of Object.entries(schema.properties || {})) {
+      check(value[key], field, `${path}.${key}`, errors);
+    }
+  }
+  if (types.includes('array')) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}` });
+    }
+    value.forEach((entry, i) => check(entry, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Check an order against ORDER_SCHEMA
+ * @param {*} order - the request's order payload
+ * @returns {Array<{ path: string, message: string }>} every violation (empty if valid)
+ */
+export function validateOrder(order) {
+  const errors = [];
+  check(order, ORDER_SCHEMA, 'order', errors);
+  return errors;
+}
@@ -0,0 +1,135 @@
+// page-pool.js
+// Warm Puppeteer pages for rendering receipts. Opening and configuring a page (JS off,
+// viewport, request blocking) costs more than rendering a receipt, so pages are set up
+// once and reused. The pool size also caps how many renders run at once.
+
+export class PagePool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getBrowser - async () => Browser
+   * @param {Function} options.setup - async (page) => void, run once per new page
+   * @param {number} options.size - most pages open (and renders running) at once
+   */
+  constructor({ getBrowser, setup, size = 2 }) {
+    this.getBrowser = getBrowser;
+    this.setup = setup;
+    this.size = Math.max(1, size);
+    this.idle = [];
+    this.busy = 0;
+    this.opening = 0;
+    this.waiters = [];
+    this.counters = { pagesOpened: 0, pagesDiscarded: 0, renders: 0, waits: 0, waitMs: 0 };
+  }
+
+  async open() {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    try {
+      await this.setup(page);
+    } catch (error) {
+      await page.close().catch(() => {});
+      throw error;
+    }
+    this.counters.pagesOpened++;
+    return page;
+  }
+
+  usable(page) {
+    return !page.isClosed() && page.browser().isConnected();
+  }
+
+  wake() {
+    const next = this.waiters.shift();
+    if (next) next();
+  }
+
+  discard(page) {
+    this.counters.pagesDiscarded++;
+    page.close().catch(() => {});
+  }
+
+  async acquire() {
+    const t0 = Date.now();
+    let waited = false;
+    const got = (page) => {
+      this.busy++;
+      if (waited) { this.counters.waits++; this.counters.waitMs += Date.now() - t0; }
+      return page;
+    };
+    for (;;) {
+      const page = this.idle.pop();
+      if (page) {
+        if (this.usable(page)) return got(page);
+        this.discard(page); // browser went away while it sat idle
+        continue;
+      }
+      if (this.busy + this.opening < this.size) {
+        this.opening++;
+        try {
+          return got(await this.open());
+        } finally {
+          this.opening--;
+          this.wake(); // an open that failed frees its slot for whoever is waiting
+        }
+      }
+      waited = true;
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+  }
+
+  release(page, { broken = false } = {}) {
+    this.busy--;
+    if (broken || !this.usable(page)) this.discard(page);
+    else this.idle.push(page);
+    this.wake();
+  }
+
+  /**
+   * Run fn with a pooled page. A page whose render threw is closed rather than reused.
+   * @param {Function} fn - async (page) => result
+   */
+  async use(fn) {
+    const page = await this.acquire();
+    let broken = false;
+    try {
+      this.counters.renders++;
+      return await fn(page);
+    } catch (error) {
+      broken = true;
+      throw error;
+    } finally {
+      this.release(page, { broken });
+    }
+  }
+
+  /** Open pages up to the pool size ahead of the first render */
+  async warm() {
+    // Each page holds its slot while it opens, so renders arriving meanwhile can't overshoot the size
+    while (this.idle.length + this.busy + this.opening < this.size) {
+      this.opening++;
+      try {
+        this.idle.push(await this.open());
+      } finally {
+        this.opening--;
+        this.wake();
+      }
+    }
+  }
+
+  /** Close idle pages (e.g. before the browser is replaced); busy ones are closed when released */
+  drain() {
+    for (const page of this.idle.splice(0)) this.discard(page);
+  }
+
+  stats() {
+    const { waits, waitMs, ...counters } = this.counters;
+    return {
+      size: this.size,
+      idle: this.idle.length,
+      busy: this.busy,
+      waiting: this.waiters.length,
+      ...counters,
+      avgWaitMs: waits ? Math.round(waitMs / waits) : 0,
+    };
+  }
+}
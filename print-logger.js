@@ -24,7 +24,7 @@ const ENVIRONMENTS = {
  * @param {string} params.restaurantId - Restaurant ID
  * @param {string} params.printerSerial - Printer serial number (optional)
  * @param {string} params.status - Status (RECEIVED, PROCESSING, SENT_TO_PRINTER, PRINTER_ACCEPTED, PRINTED, FAILED, ERROR)
- * @param {string} params.stage - Stage (ORDER_RECEIVED, ORDER_VALIDATION, PRINTER_LOOKUP, JOB_CREATION, PRINTER_POLLING, PRINT_COMPLETE)
+ * @param {string} params.stage - Stage (ORDER_RECEIVED, ORDER_VALIDATION, PRINTER_LOOKUP, JOB_CREATION, PRINTER_POLLING, PRINT_COMPLETE, DEAD_LETTER, ORDER_CANCELLED, JOB_EXPIRED, PRINTER_HEALTH)
  * @param {string} params.message - Log message
  * @param {Object} params.errorDetails - Error details (optional)
  * @param {Object} params.orderData - Order data snapshot (optional)
@@ -0,0 +1,113 @@
+// printer-settings.js
+// Local overrides that the DynamoDB printer mappings don't carry
+// (job TTLs, rendering options, ...). Read from a JSON file and layered:
+// defaults < environment < restaurant < printer serial.
+import fs from 'fs';
+
+const SETTINGS_FILE = process.env.PRINTER_SETTINGS_PATH || './printer-settings.json';
+
+// Built-in defaults; anything in the file's "defaults" block overrides these
+const DEFAULT_SETTINGS = {
+  jobTtlMinutes: Number(process.env.JOB_TTL_MINUTES ?? 180), // 0 = never expire
+  renderMode: 'html', // 'html' (Puppeteer -> PNG), 'markup' (Star Document Markup) or 'text' (ESC/POS text)
+  driver: 'cloudprnt', // transport name (see transports.js): 'cloudprnt', 'escpos', 'ipp' or 'file'
+  template: 'receipt', // 'receipt' (customer copy) or 'kitchen' (large items, no prices)
+  branding: {}, // logo, header, footer, fontSizes, template (see receipt-templates.js)
+  paper: { size: '80mm' }, // paper profile (see PAPER_PROFILES); other keys override the profile's values
+  dither: 'threshold', // how images are made black/white: 'threshold', 'floyd-steinberg', 'atkinson' or 'bayer'
+  orderValidation: 'lenient', // 'lenient' warns about orders that don't match order-schema.js and prints; 'strict' rejects them (422)
+};
+
+// Receipts are laid out on a 576px page and rasterized to the profile's width:
+//   dots         printer's dot width      marginLeft/Right  dots left blank at each side
+//   threshold    0-255 black/white cut    bottomFeed        blank dots added below the receipt
+//   columns      characters per line for markup/ESC/POS text receipts
+export const PAPER_PROFILES = {
+  '80mm': { dots: 576, marginLeft: 0, marginRight: 11, threshold: 160, bottomFeed: 500, columns: 48 },
+  '58mm': { dots: 384, marginLeft: 0, marginRight: 8, threshold: 160, bottomFeed: 500, columns: 32 },
+};
+const PAPER_LIMITS = {
+  dots: [200, 1024], marginLeft: [0, 200], marginRight: [0, 200], threshold: [0, 255], bottomFeed: [0, 2000], columns: [16, 80],
+};
+
+let settings = { defaults: {}, environments: {}, restaurants: {}, printers: {} };
+
+/**
+ * (Re)read the settings file. Keeps the previous settings if the file is invalid.
+ */
+export function reloadSettings() {
+  if (!fs.existsSync(SETTINGS_FILE)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+    settings = {
+      defaults: parsed.defaults || {},
+      environments: parsed.environments || {},
+      restaurants: parsed.restaurants || {},
+      printers: parsed.printers || {},
+    };
+    console.log(`[settings] Loaded printer settings from ${SETTINGS_FILE}`);
+  } catch (error) {
+    console.error(`[settings] Ignoring invalid ${SETTINGS_FILE}:`, error.message);
+  }
+}
+
+const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+function merge(base, layer) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(layer || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? { ...out[key], ...value } : value;
+  }
+  return out;
+}
+
+/**
+ * Effective settings for a job or printer
+ * @param {Object} scope
+ * @param {string} scope.environment - 'local', 'develop', or 'production' (optional)
+ * @param {string} scope.restaurantId - restaurant mapping id (optional)
+ * @param {string} scope.serial - printer serial (optional)
+ * @returns {Object} merged settings
+ */
+export function getSettings({ environment, restaurantId, serial } = {}) {
+  let out = merge(DEFAULT_SETTINGS, settings.defaults);
+  if (environment) out = merge(out, settings.environments[environment]);
+  if (restaurantId) out = merge(out, settings.restaurants[restaurantId]);
+  if (serial) out = merge(out, settings.printers[String(serial).trim()]);
+  return out;
+}
+
+const warned = new Set();
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`[settings] ${message}`);
+}
+
+/**
+ * Resolve a "paper" setting to a full profile. Unknown sizes fall back to 80mm and
+ * out-of-range overrides are ignored (with a warning), so a typo can't break printing.
+ * @param {Object} paper - { size: '80mm'|'58mm', ...overrides of PAPER_PROFILES fields }
+ * @returns {Object} { size, dots, marginLeft, marginRight, threshold, bottomFeed, columns }
+ */
+export function resolvePaper(paper = {}) {
+  const { size = '80mm', ...overrides } = isPlainObject(paper) ? paper : {};
+  if (!PAPER_PROFILES[size]) warnOnce(`Unknown paper size "${size}", using 80mm`);
+  const profile = { size: PAPER_PROFILES[size] ? size : '80mm', ...(PAPER_PROFILES[size] || PAPER_PROFILES['80mm']) };
+  for (const [key, value] of Object.entries(overrides)) {
+    const [min, max] = PAPER_LIMITS[key] || [];
+    if (min === undefined || !Number.isInteger(value) || value < min || value > max) {
+      warnOnce(`Ignoring paper.${key}=${JSON.stringify(value)}`);
+      continue;
+    }
+    profile[key] = value;
+  }
+  if (profile.marginLeft + profile.marginRight >= profile.dots / 2) {
+    warnOnce(`Paper margins leave too little room on ${profile.dots} dots; ignoring them`);
+    profile.marginLeft = 0;
+    profile.marginRight = 0;
+  }
+  return profile;
+}
+
+reloadSettings();
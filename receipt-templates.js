@@ -0,0 +1,387 @@
+// receipt-templates.js
+// Per-restaurant receipt branding (logo, header/footer lines, font sizes) and custom
+// receipt templates, configured under "branding" in printer-settings.json.
+//
+// Templates are HTML with a small logic-less, Mustache-like language:
+//   {{name}}               value, HTML-escaped (dotted paths work: {{fontSizes.base}})
+//   {{#name}}...{{/name}}  repeated for each entry of a list, or shown if the value is set
+//   {{^name}}...{{/name}}  shown if the value is unset or an empty list
+//   {{.}}                  the current entry of a list of strings (header, footer)
+//   {{! comment }}
+// There's no unescaped output, no partials and nothing that runs code, and the only values
+// are the ones receiptView() builds from the order, so an order can't inject markup.
+import fs from 'fs';
+import path from 'path';
+
+const MAX_TEMPLATE_BYTES = 64 * 1024;
+const MAX_LOGO_BYTES = 512 * 1024;
+const MAX_TEXT_LINES = 10;
+const MAX_LINE_LENGTH = 200;
+
+export const DEFAULT_FONT_SIZES = { base: 42, title: 49, item: 38, info: 34, detail: 31 }; // px on a 576px page
+const FONT_SIZE_RANGE = [12, 96];
+const DEFAULT_FOOTER = ['Thank you!'];
+
+// What a template can use: true for a value, an object for the fields inside that section
+const LINES = { '.': true };
+const RECEIPT_FIELDS = {
+  logo: true, restaurantName: true, orderNumber: true, pickup: true, delivery: true,
+  driverName: true, driverPhone: true, providerName: true, estimatePickupTime: true,
+  customerName: true, customerAddress: true, deliveryInstructions: true,
+  deliveryFee: true, serviceFee: true, processingFee: true, total: true, printedAt: true,
+  header: LINES,
+  footer: LINES,
+  fontSizes: Object.fromEntries(Object.keys(DEFAULT_FONT_SIZES).map(k => [k, true])),
+  items: {
+    name: true, quantity: true, total: true, specialInstructions: true,
+    modifiers: { name: true, price: true },
+  },
+};
+
+// Anything that would run script or pull in resources from outside the page
+const UNSAFE_PATTERNS = [
+  [/<\s*(script|iframe|frame|object|embed|link|base)\b/i, 'tag is not allowed'],
+  [/<\s*meta\b[^>]*http-equiv/i, '<meta http-equiv> is not allowed'],
+  [/<[^>]*\son[a-z]+\s*=/i, 'event handler attributes are not allowed'],
+  [/javascript:/i, 'javascript: URLs are not allowed'],
+  [/(?:src|href)\s*=\s*["']?\s*(?:[a-z]+:)?\/\//i, 'external resources are not allowed (the logo is embedded for you)'],
+  [/url\(\s*["']?\s*(?:[a-z]+:)?\/\/|@import/i, 'external stylesheets and images are not allowed'],
+];
+
+// Template tags can split an unsafe construct (`<scr{{! }}ipt>`, `on{{field}}=`), so the
+// patterns are also checked with every tag dropped and with every tag standing in for a value
+const TAG_STAND_INS = ['', 'x'];
+
+const NAME = /^(\.|[A-Za-z_]\w*(\.[A-Za-z_]\w*)*)$/;
+
+/** Escape a value for HTML text or a quoted attribute */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// --------------------------
+// Template language
+// --------------------------
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+// source with each {{tag}} replaced; origin[i] is where character i came from in source
+function replaceTags(source, replacement) {
+  let text = '';
+  const origin = [];
+  let last = 0;
+  const keep = (from, to) => {
+    text += source.slice(from, to);
+    for (let i = from; i < to; i++) origin.push(i);
+  };
+  for (const m of source.matchAll(/\{\{[\s\S]*?\}\}/g)) {
+    keep(last, m.index);
+    text += replacement;
+    for (let i = 0; i < replacement.length; i++) origin.push(m.index);
+    last = m.index + m[0].length;
+  }
+  keep(last, source.length);
+  origin.push(source.length);
+  return { text, origin };
+}
+
+// -> { tree, errors }; tree nodes are { text } | { name, line } | { section, inverted, children, line }
+function parse(source) {
+  const errors = [];
+  const root = { children: [] };
+  const open = [root];
+  const tag = /\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let m;
+  while ((m = tag.exec(source))) {
+    const top = open[open.length - 1];
+    if (m.index > last) top.children.push({ text: source.slice(last, m.index) });
+    last = tag.lastIndex;
+
+    const line = lineAt(source, m.index);
+    const body = m[1].trim();
+    const kind = body[0];
+    if (kind === '!') continue;
+    if (kind === '{' || kind === '&') {
+      errors.push(`line ${line}: unescaped output ({{${body}}}) isn't supported`);
+      continue;
+    }
+    const name = ['#', '^', '/'].includes(kind) ? body.slice(1).trim() : body;
+    if (!NAME.test(name)) {
+      errors.push(`line ${line}: invalid tag {{${body}}}`);
+      continue;
+    }
+    if (kind === '#' || kind === '^') {
+      const node = { section: name, inverted: kind === '^', children: [], line };
+      top.children.push(node);
+      open.push(node);
+    } else if (kind === '/') {
+      if (top === root || top.section !== name) {
+        errors.push(`line ${line}: {{/${name}}} doesn't close ${top === root ? 'any section' : `{{#${top.section}}} from line ${top.line}`}`);
+      } else {
+        open.pop();
+      }
+    } else {
+      top.children.push({ name, line });
+    }
+  }
+  if (last < source.length) open[open.length - 1].children.push({ text: source.slice(last) });
+  for (const node of open.slice(1)) errors.push(`line ${node.line}: {{#${node.section}}} is never closed`);
+  return { tree: root.children, errors };
+}
+
+// The schema entry a name refers to, looking outwards through the enclosing sections
+function resolveField(name, scopes) {
+  if (name === '.') return scopes[scopes.length - 1]['.'];
+  const [first, ...rest] = name.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (!Object.hasOwn(scopes[i], first)) continue;
+    let field = scopes[i][first];
+    for (const part of rest) field = field && typeof field === 'object' && Object.hasOwn(field, part) ? field[part] : undefined;
+    return field;
+  }
+  return undefined;
+}
+
+function checkFields(nodes, scopes, errors) {
+  for (const node of nodes) {
+    const name = node.name ?? node.section;
+    if (name === undefined) continue;
+    const field = resolveField(name, scopes);
+    if (field === undefined) {
+      errors.push(`line ${node.line}: unknown field "${name}"`);
+      continue;
+    }
+    if (node.section !== undefined) {
+      checkFields(node.children, [...scopes, typeof field === 'object' ? field : LINES], errors);
+    } else if (typeof field === 'object' && !field['.']) {
+      errors.push(`line ${node.line}: "${name}" is a section; use {{#${name}}}...{{/${name}}}`);
+    }
+  }
+}
+
+/**
+ * Check a receipt template before it's used
+ * @param {string} source - template HTML
+ * @returns {{ ok: boolean, errors: string[] }}
+ */
+export function validateTemplate(source) {
+  if (typeof source !== 'string' || !source.trim()) return { ok: false, errors: ['template is empty'] };
+  if (Buffer.byteLength(source) > MAX_TEMPLATE_BYTES) {
+    return { ok: false, errors: [`template is larger than ${MAX_TEMPLATE_BYTES / 1024} KB`] };
+  }
+  const { tree, errors } = parse(source);
+  checkFields(tree, [RECEIPT_FIELDS], errors);
+  const variants = [{ text: source, origin: null }, ...TAG_STAND_INS.map(r => replaceTags(source, r))];
+  for (const [pattern, message] of UNSAFE_PATTERNS) {
+    for (const { text, origin } of variants) {
+      const m = pattern.exec(text);
+      if (!m) continue;
+      errors.push(`line ${lineAt(source, origin ? origin[m.index] : m.index)}: ${message}`);
+      break;
+    }
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Compile a template; throws with every validation error if it isn't usable
+ * @param {string} source
+ * @returns {Object} compiled template for renderTemplate
+ */
+export function compileTemplate(source) {
+  const { ok, errors } = validateTemplate(source);
+  if (!ok) throw new Error(`Invalid receipt template: ${errors.join('; ')}`);
+  return { tree: parse(source).tree };
+}
+
+function lookup(name, stack) {
+  if (name === '.') return stack[stack.length - 1];
+  const [first, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const ctx = stack[i];
+    if (!ctx || typeof ctx !== 'object' || !Object.hasOwn(ctx, first)) continue;
+    return rest.reduce((value, part) => (value && typeof value === 'object' && Object.hasOwn(value, part) ? value[part] : undefined), ctx[first]);
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, stack) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += node.text;
+    } else if (node.name !== undefined) {
+      const value = lookup(node.name, stack);
+      out += value && typeof value === 'object' ? '' : escapeHtml(value);
+    } else {
+      const value = lookup(node.section, stack);
+      const entries = Array.isArray(value) ? value : (value ? [value] : []);
+      if (node.inverted) {
+        if (!entries.length) out += renderNodes(node.children, stack);
+      } else {
+        for (const entry of entries) out += renderNodes(node.children, [...stack, entry]);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Fill a compiled template
+ * @param {Object} template - from compileTemplate
+ * @param {Object} view - from receiptView
+ * @returns {string} HTML
+ */
+export function renderTemplate(template, view) {
+  return renderNodes(template.tree, [view]);
+}
+
+// --------------------------
+// Receipt view
+// --------------------------
+const num = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+const money = (n) => `$${n.toFixed(2)}`;
+
+/** Data URI for an image from loadBranding */
+export function imageDataUri(image) {
+  return image ? `data:${image.type};base64,${image.data.toString('base64')}` : '';
+}
+
+/**
+ * Everything a receipt template can show (see RECEIPT_FIELDS), formatted for printing
+ * @param {Object} order - same shape generateReceiptHTML takes
+ * @param {Object} branding - from loadBranding
+ * @returns {Object}
+ */
+export function receiptView(order = {}, branding = loadBranding()) {
+  const customer = order.customerDetails || {};
+  const isPickup = !!order.pickup;
+  const fee = (value) => (num(value) === null ? '' : money(value));
+  return {
+    logo: imageDataUri(branding.logo),
+    restaurantName: order.restaurantName || '',
+    orderNumber: order.orderNumber || order.id || order.orderId || '',
+    pickup: isPickup,
+    delivery: !isPickup,
+    driverName: order.driverName || '',
+    driverPhone: order.driverPhone || '',
+    providerName: order.providerName || '',
+    estimatePickupTime: order.estimatePickupTime || '',
+    customerName: customer.name || '',
+    customerAddress: [customer.address, customer.city, customer.state, customer.zip].filter(Boolean).join(', '),
+    deliveryInstructions: order.deliveryInstructions || '',
+    deliveryFee: isPickup ? '' : fee(order.deliveryFee),
+    serviceFee: fee(order.serviceFee),
+    processingFee: fee(order.processingFee),
+    total: money(num(order.total) ?? 0),
+    printedAt: new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+    header: branding.header,
+    footer: branding.footer,
+    fontSizes: branding.fontSizes,
+    items: (Array.isArray(order.items) ? order.items : []).map((item) => {
+      const quantity = item?.quantity || 1;
+      const price = num(item?.price) ?? 0;
+      const modifierTotal = num(item?.modifierTotal) ?? 0;
+      return {
+        name: item?.name || 'Item',
+        quantity,
+        total: money((price + modifierTotal) * quantity),
+        specialInstructions: item?.specialInstructions || '',
+        modifiers: (Array.isArray(item?.selectedModifiers) ? item.selectedModifiers : []).map((mod) => {
+          const modPrice = num(mod?.modifierPrice) ?? 0;
+          return { name: mod?.modifierName || 'Modifier', price: modPrice > 0 ? `+${money(modPrice)}` : '' };
+        }),
+      };
+    }),
+  };
+}
+
+// --------------------------
+// Branding settings
+// --------------------------
+const fileCache = new Map(); // resolved path -> { mtimeMs, size, value }
+const warned = new Set();
+
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`[branding] ${message}`);
+}
+
+// Read and convert a file, re-reading only when it changes on disk
+function readCached(file, maxBytes, convert) {
+  const resolved = path.resolve(file);
+  const stat = fs.statSync(resolved);
+  if (stat.size > maxBytes) throw new Error(`larger than ${maxBytes / 1024} KB`);
+  const cached = fileCache.get(resolved);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.value;
+  const value = convert(fs.readFileSync(resolved));
+  fileCache.set(resolved, { mtimeMs: stat.mtimeMs, size: stat.size, value });
+  return value;
+}
+
+function imageType(data) {
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  return null;
+}
+
+function textLines(value, key) {
+  if (value == null) return null;
+  const lines = [].concat(value);
+  if (!lines.every(l => typeof l === 'string')) {
+    warnOnce(`"${key}" must be a string or a list of strings; ignoring it`);
+    return null;
+  }
+  if (lines.length > MAX_TEXT_LINES) warnOnce(`"${key}" has more than ${MAX_TEXT_LINES} lines; printing the first ${MAX_TEXT_LINES}`);
+  return lines.slice(0, MAX_TEXT_LINES).map(l => l.slice(0, MAX_LINE_LENGTH));
+}
+
+/**
+ * Resolve a "branding" settings block. Anything invalid is logged and left at its default,
+ * so a bad setting never stops receipts from printing.
+ * @param {Object} branding - { logo, header, footer, fontSizes, template } (all optional)
+ *   logo: path to a PNG or JPEG; header/footer: string or list of lines;
+ *   fontSizes: px overrides of DEFAULT_FONT_SIZES; template: path to a receipt template
+ * @returns {Object} { logo: { type, data }|null, header: string[], footer: string[], fontSizes, template|null }
+ */
+export function loadBranding(branding = {}) {
+  const out = {
+    logo: null,
+    header: textLines(branding?.header, 'header') || [],
+    footer: textLines(branding?.footer, 'footer') || DEFAULT_FOOTER,
+    fontSizes: { ...DEFAULT_FONT_SIZES },
+    template: null,
+  };
+  if (!branding || typeof branding !== 'object') return out;
+
+  if (branding.logo) {
+    try {
+      out.logo = readCached(String(branding.logo), MAX_LOGO_BYTES, (data) => {
+        const type = imageType(data);
+        if (!type) throw new Error('not a PNG or JPEG');
+        return { type, data };
+      });
+    } catch (error) {
+      warnOnce(`Logo ${branding.logo}: ${error.message}; using the default logo`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(branding.fontSizes || {})) {
+    const [min, max] = FONT_SIZE_RANGE;
+    if (!(key in DEFAULT_FONT_SIZES)) warnOnce(`Unknown font size "${key}" (use ${Object.keys(DEFAULT_FONT_SIZES).join(', ')})`);
+    else if (typeof value !== 'number' || value < min || value > max) warnOnce(`Font size "${key}" must be ${min}-${max}px; got ${value}`);
+    else out.fontSizes[key] = value;
+  }
+
+  if (branding.template) {
+    try {
+      out.template = readCached(String(branding.template), MAX_TEMPLATE_BYTES, (data) => compileTemplate(data.toString('utf8')));
+    } catch (error) {
+      warnOnce(`Template ${branding.template}: ${error.message}; using the default receipt`);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,55 @@
+// receipt-templates.test.js
+// Run with `npm test` (node's built-in test runner)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTemplate, compileTemplate, renderTemplate, escapeHtml } from './receipt-templates.js';
+
+const view = { restaurantName: 'Cafe <b>', orderNumber: '42', items: [{ name: 'Soup', quantity: 1, total: '$4.00', modifiers: [] }] };
+
+test('renders fields escaped and sections per entry', () => {
+  const template = compileTemplate('<h1>{{restaurantName}}</h1>{{#items}}<p>{{quantity}}x {{name}}</p>{{/items}}{{! note }}');
+  assert.equal(renderTemplate(template, view), '<h1>Cafe &#60;b&#62;</h1><p>1x Soup</p>');
+});
+
+test('accepts the default kinds of markup', () => {
+  assert.deepEqual(validateTemplate('<meta charset="utf-8"><img src="{{logo}}"><div data-item>{{orderNumber}}</div>'), { ok: true, errors: [] });
+});
+
+test('rejects unknown fields and unclosed sections', () => {
+  const { ok, errors } = validateTemplate('{{#items}}{{price}}');
+  assert.equal(ok, false);
+  assert.deepEqual(errors, ['line 1: {{#items}} is never closed', 'line 1: unknown field "price"']);
+});
+
+test('rejects scripts, handlers and external resources', () => {
+  for (const source of [
+    '<script>alert(1)</script>',
+    '<img src="x" onerror="alert(1)">',
+    '<img src="https://evil.example/a.png">',
+    '<div style="background: url(//evil.example/a.png)"></div>',
+    '<meta http-equiv="refresh" content="0">',
+  ]) {
+    assert.equal(validateTemplate(source).ok, false, source);
+  }
+});
+
+test('rejects unsafe markup split up by template tags', () => {
+  for (const source of [
+    '<scr{{! x }}ipt>alert(1)</script>',
+    '<img src="http:{{!y}}//evil.example/a.png">',
+    '<scr{{#pickup}}{{/pickup}}ipt>alert(1)</script>',
+    '<img src="x" on{{orderNumber}}="alert(1)">',
+  ]) {
+    assert.equal(validateTemplate(source).ok, false, source);
+  }
+  assert.deepEqual(validateTemplate('<p>ok</p>\n<scr{{! x }}ipt>').errors, ['line 2: tag is not allowed']);
+});
+
+test('a rejected template never compiles', () => {
+  assert.throws(() => compileTemplate('<scr{{! x }}ipt>alert(1)</script>'), /Invalid receipt template/);
+});
+
+test('escapeHtml covers quotes for attributes', () => {
+  assert.equal(escapeHtml(`"'&`), '&#34;&#39;&#38;');
+  assert.equal(escapeHtml(undefined), '');
+});
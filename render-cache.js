@@ -0,0 +1,87 @@
+// render-cache.js
+// Content-addressed cache of rendered receipts, keyed by a hash of the HTML. Reprints and
+// identical test prints reuse the earlier render instead of going through Chromium again,
+// and identical renders already in flight are shared.
+import crypto from 'crypto';
+
+export class RenderCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - renders kept (least recently used go first); 0 disables the cache
+   * @param {Function} options.sizeOf - (value) => bytes, for stats
+   */
+  constructor({ maxEntries = 50, sizeOf = () => 0 } = {}) {
+    this.maxEntries = Math.max(0, maxEntries);
+    this.sizeOf = sizeOf;
+    this.entries = new Map(); // hash -> { promise, bytes }; Map order doubles as LRU order
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  static keyFor(html) {
+    return crypto.createHash('sha256').update(html).digest('hex');
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      const [key, entry] = this.entries.entries().next().value;
+      this.entries.delete(key);
+      this.bytes -= entry.bytes;
+    }
+  }
+
+  /**
+   * The cached render of html, or render() it and cache the result. Failed renders aren't kept.
+   * @param {string} html
+   * @param {Function} render - async () => value
+   * @returns {Promise<*>} shared between callers; treat it as read-only
+   */
+  get(html, render) {
+    if (!this.maxEntries) {
+      this.misses++;
+      return render();
+    }
+    const key = RenderCache.keyFor(html);
+    const hit = this.entries.get(key);
+    if (hit) {
+      this.hits++;
+      this.entries.delete(key);
+      this.entries.set(key, hit);
+      return hit.promise;
+    }
+
+    this.misses++;
+    const entry = { promise: render(), bytes: 0 };
+    this.entries.set(key, entry);
+    this.evict();
+    entry.promise.then(
+      (value) => {
+        if (this.entries.get(key) !== entry) return;
+        entry.bytes = this.sizeOf(value);
+        this.bytes += entry.bytes;
+      },
+      () => {
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+      },
+    );
+    return entry.promise;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      maxEntries: this.maxEntries,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Number((this.hits / lookups).toFixed(3)) : 0,
+    };
+  }
+}
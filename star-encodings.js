@@ -0,0 +1,127 @@
+// star-encodings.js
+// Converts rendered receipts into the Star media types a CloudPRNT printer can accept,
+// and picks the best one a given printer supports. PNG is always the fallback.
+import sharp from 'sharp';
+
+export const MEDIA_TYPES = {
+  MARKUP: 'text/vnd.star.markup',
+  STARPRNT: 'application/vnd.star.starprnt',
+  LINE: 'application/vnd.star.line',
+  PNG: 'image/png',
+};
+
+// Best first: markup is tiny text, raster commands skip PNG decoding on the printer
+const PREFERENCE = [MEDIA_TYPES.MARKUP, MEDIA_TYPES.STARPRNT, MEDIA_TYPES.LINE, MEDIA_TYPES.PNG];
+
+const ESC = 0x1b;
+const FEED_AND_CUT = Buffer.from([ESC, 0x64, 0x02]);
+const RASTER_BAND_LINES = 256; // lines per ESC GS S block
+
+/**
+ * Media types we can produce for a job, best first
+ * @param {Object} job - { content: PNG Buffer, markup?: string }
+ */
+export function availableMediaTypes(job) {
+  const types = [];
+  if (job.markup) types.push(MEDIA_TYPES.MARKUP);
+  if (job.content) types.push(MEDIA_TYPES.STARPRNT, MEDIA_TYPES.LINE, MEDIA_TYPES.PNG);
+  return types;
+}
+
+/**
+ * Order what we can produce by preference, keeping only what the printer supports.
+ * If we don't know what the printer supports, only PNG is offered.
+ * @param {string[]} available - from availableMediaTypes
+ * @param {string[]|null} supported - printer's reported encodings
+ */
+export function negotiateMediaTypes(available, supported) {
+  if (!Array.isArray(supported) || !supported.length) {
+    return available.includes(MEDIA_TYPES.PNG) ? [MEDIA_TYPES.PNG] : available.slice(0, 1);
+  }
+  const accepted = PREFERENCE.filter(t => available.includes(t) && supported.includes(t));
+  if (accepted.length) return accepted;
+  // Nothing in common: offer what we have and let the printer reject it visibly
+  return available.includes(MEDIA_TYPES.PNG) ? [MEDIA_TYPES.PNG] : available.slice(0, 1);
+}
+
+// Rendered PNGs carry a trailing feed/cut command after IEND; cut it off before decoding
+export function pngOnly(buffer) {
+  const iend = buffer.lastIndexOf('IEND');
+  return iend >= 0 ? buffer.subarray(0, iend + 8) : buffer; // "IEND" + 4-byte CRC
+}
+
+/**
+ * Decode a PNG into 1-bit rows (MSB first, 1 = black)
+ * @returns {Promise<{ bytesPerLine: number, height: number, rows: Buffer[] }>}
+ */
+export async function pngToRasterRows(png) {
+  const { data, info } = await sharp(pngOnly(png), { failOn: 'none' })
+    .flatten({ background: { r: 255, g: 255, b: 255 } })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const bytesPerLine = Math.ceil(info.width / 8);
+  const rows = [];
+  for (let y = 0; y < info.height; y++) {
+    const row = Buffer.alloc(bytesPerLine);
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < 128) row[x >> 3] |= 0x80 >> (x & 7);
+    }
+    rows.push(row);
+  }
+  return { bytesPerLine, height: info.height, rows };
+}
+
+// StarPRNT raster: ESC GS S m xL xH yL yH n d1...dk, in bands
+export function encodeStarPrntRaster({ bytesPerLine, rows }, { cut = true } = {}) {
+  const parts = [Buffer.from([ESC, 0x40])]; // ESC @ initialize
+  for (let y = 0; y < rows.length; y += RASTER_BAND_LINES) {
+    const band = rows.slice(y, y + RASTER_BAND_LINES);
+    parts.push(Buffer.from([
+      ESC, 0x1d, 0x53, 0x01,
+      bytesPerLine & 0xff, bytesPerLine >> 8,
+      band.length & 0xff, band.length >> 8,
+      0x00,
+    ]));
+    parts.push(...band);
+  }
+  if (cut) parts.push(FEED_AND_CUT);
+  return Buffer.concat(parts);
+}
+
+// Star Line Mode raster: ESC * r A, then "b n1 n2 data" per line, ESC * r B
+export function encodeStarLineRaster({ bytesPerLine, rows }, { cut = true } = {}) {
+  const parts = [
+    Buffer.from([ESC, 0x40]),
+    Buffer.from([ESC, 0x2a, 0x72, 0x52]), // ESC * r R initialize raster mode
+    Buffer.from([ESC, 0x2a, 0x72, 0x41]), // ESC * r A enter raster mode
+  ];
+  for (const row of rows) {
+    parts.push(Buffer.from([0x62, bytesPerLine & 0xff, bytesPerLine >> 8]), row);
+  }
+  parts.push(Buffer.from([ESC, 0x2a, 0x72, 0x42])); // ESC * r B quit raster mode
+  if (cut) parts.push(FEED_AND_CUT);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Produce a job's content in the requested media type (cached on job.formats)
+ * @param {Object} job - { content, markup?, formats? }
+ * @param {string} mediaType
+ * @returns {Promise<Buffer|null>} null if we can't produce that type for this job
+ */
+export async function contentForMediaType(job, mediaType) {
+  if (!availableMediaTypes(job).includes(mediaType)) return null;
+  if (mediaType === MEDIA_TYPES.PNG) return job.content;
+  if (mediaType === MEDIA_TYPES.MARKUP) return Buffer.from(job.markup, 'utf8');
+
+  job.formats = job.formats || {};
+  if (!job.formats[mediaType]) {
+    const raster = await pngToRasterRows(job.content);
+    job.formats[mediaType] = mediaType === MEDIA_TYPES.STARPRNT
+      ? encodeStarPrntRaster(raster)
+      : encodeStarLineRaster(raster);
+  }
+  return job.formats[mediaType];
+}
@@ -0,0 +1,141 @@
+// star-markup.js
+// Builds Star Document Markup (text/vnd.star.markup) straight from the order object,
+// so printers that support it skip the Puppeteer + sharp pipeline entirely.
+// Layout mirrors generateReceiptHTML: logo, bold restaurant name, items with
+// modifiers and instructions, fees, total.
+
+const DEFAULT_COLUMNS = 48; // characters per line on 80mm paper (font A)
+
+// "[" starts a tag and "\" escapes; ";" separates tag options inside [column: ...]
+function esc(value) {
+  return String(value ?? '').replace(/[\\[\];]/g, (c) => `\\${c}`).replace(/[\r\n]+/g, ' ');
+}
+
+function money(n) {
+  return `$${n.toFixed(2)}`;
+}
+
+function num(value) {
+  return (typeof value === 'number' && !isNaN(value)) ? value : null;
+}
+
+function rule(columns) {
+  return '-'.repeat(columns);
+}
+
+function columns(left, right) {
+  return `[column: left ${esc(left)}; right ${esc(right)}]`;
+}
+
+/**
+ * Customer receipt as Star Document Markup
+ * @param {Object} order - same shape generateReceiptHTML takes
+ * @param {Object} options
+ * @param {string} options.logoUrl - public URL of the logo (omitted if not set)
+ * @param {string[]} options.header - branding lines under the restaurant name
+ * @param {string[]} options.footer - closing lines (default "Thank you!")
+ * @param {number} options.columns - characters per line (default 48)
+ * @returns {string}
+ */
+export function generateReceiptMarkup(order = {}, { logoUrl = null, header = [], footer = ['Thank you!'], columns: width = DEFAULT_COLUMNS } = {}) {
+  const isPickup = !!order.pickup;
+  const customer = order.customerDetails || {};
+  const items = Array.isArray(order.items) ? order.items : [];
+  const lines = [];
+
+  // Alignment carries over to following lines, so it's set inline with the first line it applies to
+  if (logoUrl) lines.push(`[align: centre][image: url ${logoUrl}; width 200]`);
+  lines.push(`[align: centre][magnify: width 2; height 2][bold: on]${esc(order.restaurantName || '')}[bold: off][magnify]`);
+  lines.push(...header.map(esc));
+
+  if (!isPickup) lines.push(`Pickup Driver: [bold: on]${esc(order.driverName || '')} - ${esc(order.driverPhone || '')}[bold: off]`);
+  if (isPickup) lines.push(`Pickup [bold: on]${esc(customer.name || '')}[bold: off]`);
+  if (order.providerName) lines.push(`Provider: [bold: on]${esc(order.providerName)}[bold: off]`);
+  if (!isPickup) lines.push(`Pickup Time: ${esc(order.estimatePickupTime || '')}`);
+  lines.push(`[align: left]${rule(width)}`);
+
+  if (!isPickup) {
+    const address = `${customer.name || ''} — ${customer.address || ''}${customer.city ? ', ' + customer.city : ''}, ${customer.state || ''}, ${customer.zip || ''}`;
+    lines.push('[align: centre]Delivery Address:', `[bold: on]${esc(address)}[bold: off]`, `[align: left]${rule(width)}`);
+  }
+
+  for (const item of items) {
+    const quantity = item?.quantity || 1;
+    const price = num(item?.price) ?? 0;
+    const modifierTotal = num(item?.modifierTotal) ?? 0;
+    lines.push(`[bold: on]${columns(`${quantity}x ${item?.name || 'Item'}`, money((price + modifierTotal) * quantity))}[bold: off]`);
+
+    const modifiers = Array.isArray(item?.selectedModifiers) ? item.selectedModifiers : [];
+    for (const mod of modifiers) {
+      const modPrice = num(mod?.modifierPrice) ?? 0;
+      lines.push(columns(`   + ${mod?.modifierName || 'Modifier'}`, modPrice > 0 ? `+${money(modPrice)}` : ''));
+    }
+    if (item?.specialInstructions) lines.push(`  special instructions: ${esc(item.specialInstructions)}`);
+  }
+
+  lines.push(rule(width));
+  if (!isPickup && num(order.deliveryFee) !== null) lines.push(columns('Delivery Fee', money(order.deliveryFee)));
+  if (num(order.serviceFee) !== null) lines.push(columns('Service Fee', money(order.serviceFee)));
+  if (num(order.processingFee) !== null) lines.push(columns('Processing Fee', money(order.processingFee)));
+  lines.push(rule(width));
+  lines.push(`[magnify: width 1; height 2][bold: on]${columns('TOTAL', money(num(order.total) ?? 0))}[bold: off][magnify]`);
+
+  if (!isPickup && order.deliveryInstructions) {
+    lines.push(`special delivery instructions: ${esc(order.deliveryInstructions)}`);
+  }
+
+  lines.push(`[align: centre]${footer.map(esc).join('\n')}`, '[cut: feed; partial]');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Kitchen ticket as Star Document Markup (see generateKitchenTicketHTML): no prices or logo
+ * @param {Object} order - same shape generateReceiptHTML takes
+ * @param {Object} options
+ * @param {number} options.columns - characters per line (default 48)
+ * @returns {string}
+ */
+export function generateKitchenTicketMarkup(order = {}, { columns: width = DEFAULT_COLUMNS } = {}) {
+  const orderLabel = order.orderNumber || order.id || order.orderId || '';
+  const customer = order.customerDetails || {};
+  const items = Array.isArray(order.items) ? order.items : [];
+  const time = new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const lines = [
+    `[align: centre][magnify: width 3; height 3][bold: on]#${esc(orderLabel)}[bold: off][magnify]`,
+    `[magnify: width 2; height 2][invert: on] ${order.pickup ? 'PICKUP' : 'DELIVERY'} [invert: off][magnify]`,
+  ];
+  if (customer.name) lines.push(`[bold: on]${esc(customer.name)}[bold: off]`);
+  if (order.providerName) lines.push(esc(order.providerName));
+  if (order.estimatePickupTime) lines.push(`Pickup Time: ${esc(order.estimatePickupTime)}`);
+  lines.push(`Printed ${esc(time)}`, `[align: left]${'='.repeat(width)}`);
+
+  for (const item of items) {
+    lines.push(`[magnify: width 2; height 2][bold: on]${item?.quantity || 1}x ${esc(item?.name || 'Item')}[bold: off][magnify]`);
+    const modifiers = Array.isArray(item?.selectedModifiers) ? item.selectedModifiers : [];
+    for (const mod of modifiers) {
+      lines.push(`[magnify: width 1; height 2][bold: on]   + ${esc(mod?.modifierName || 'Modifier')}[bold: off][magnify]`);
+    }
+    if (item?.specialInstructions) {
+      lines.push(`[magnify: width 1; height 2][invert: on] ** ${esc(item.specialInstructions)} ** [invert: off][magnify]`);
+    }
+  }
+
+  lines.push('='.repeat(width), '[cut: feed; partial]');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * VOID ticket as Star Document Markup (see generateVoidTicketHTML)
+ * @param {Object} job - { orderNumber, orderId, voidOf, customerName }
+ */
+export function generateVoidTicketMarkup(job = {}) {
+  const orderLabel = job.orderNumber || job.orderId || job.voidOf || '';
+  const time = new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const lines = [
+    '[align: centre][magnify: width 4; height 4][bold: on]VOID[bold: off][magnify]',
+    `[magnify: width 2; height 2]Order #${esc(orderLabel)}[magnify]`,
+  ];
+  if (job.customerName) lines.push(esc(job.customerName));
+  lines.push(`Cancelled at ${esc(time)} - do not prepare`, '[cut: feed; partial]');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,149 @@
+// transports.js
+// How a rendered job gets from the queue to paper. Each printer's settings pick a transport
+// by name ("driver"); the job lifecycle in index.js (queueing, retries, history, logging)
+// only talks to this interface, so it works the same whichever way the ticket travels.
+//
+// A transport is an object with:
+//   pull         true if the printer asks for work (CloudPRNT), false if we push it to the printer
+//   renderModes  render modes its printers can take ('html', 'markup', 'text')
+//   printer(settings)
+//     -> connection details from the printer's settings, or null if they're incomplete
+//   capabilities(printer, serial)
+//     -> formats the printer accepts, best first (null if it hasn't told us)
+//   status(printer, report)
+//     -> Promise<status|null> shaped like parsePollStatus. Pull: parsed from what the printer
+//        reported; push: asked of the printer (rejects if it can't be reached)
+//   deliver(printer, job, { format })
+//     -> Promise. Pull: { data, format } for the printer to download (null if that format can't
+//        be produced); push: sends the job and resolves a receipt for acknowledge
+//   acknowledge(printer, job, confirmation, { keepAlive })
+//     -> Promise<{ ok, code, status? }>. Pull: confirmation is the code the printer reported;
+//        push: confirmation is the deliver receipt, and this waits for the printer to finish
+//        (calling keepAlive while it's still working so the job isn't taken for stalled)
+import fs from 'fs';
+import path from 'path';
+import { parsePollStatus } from './cloudprnt-status.js';
+import { getClientActionResult } from './client-actions.js';
+import { MEDIA_TYPES, contentForMediaType, pngOnly } from './star-encodings.js';
+import { DEFAULT_PORT as ESCPOS_DEFAULT_PORT, encodeEscPosRaster, queryEscPosStatus, sendEscPos } from './escpos-driver.js';
+import { IPP_FORMATS, getIppPrinterStatus, printIpp, waitForIppJob, pngToPdf } from './ipp-driver.js';
+
+const ESCPOS_FORMAT = 'application/vnd.escpos';
+
+const transports = new Map(); // name -> transport
+
+/**
+ * Make a transport available to printer settings as { driver: name }
+ * @param {string} name
+ * @param {Object} transport - see the interface above
+ */
+export function registerTransport(name, transport) {
+  transports.set(name, { name, ...transport });
+}
+
+/** @returns {Object|null} the transport registered under name */
+export function getTransport(name) {
+  return transports.get(name) || null;
+}
+
+/** @returns {string[]} registered transport names */
+export function listTransports() {
+  return Array.from(transports.keys());
+}
+
+// --------------------------
+// CloudPRNT (printer polls POST/GET/DELETE /cloudprnt)
+// --------------------------
+registerTransport('cloudprnt', {
+  pull: true,
+  renderModes: ['html', 'markup'],
+  printer: ({ mediaTypes }) => ({ mediaTypes: Array.isArray(mediaTypes) ? mediaTypes : null }),
+  // What the printer told us (clientAction Encodings), else what settings say it takes
+  capabilities: (printer, serial) => getClientActionResult(serial, 'Encodings') || printer.mediaTypes,
+  async status(printer, report) {
+    const hasStatus = report && typeof report === 'object' && Object.keys(report).length > 0;
+    return hasStatus ? parsePollStatus(report) : null;
+  },
+  async deliver(printer, job, { format = MEDIA_TYPES.PNG } = {}) {
+    const data = await contentForMediaType(job, format);
+    return data ? { data, format } : null;
+  },
+  async acknowledge(printer, job, code) {
+    const codeStr = String(code || '').toUpperCase();
+    return { ok: codeStr === 'OK' || codeStr.startsWith('2'), code: codeStr };
+  },
+});
+
+// --------------------------
+// ESC/POS over raw TCP
+// --------------------------
+registerTransport('escpos', {
+  pull: false,
+  renderModes: ['html', 'text'],
+  printer: ({ host, port }) => (host ? { host, port: Number(port) || ESCPOS_DEFAULT_PORT } : null),
+  capabilities: () => [ESCPOS_FORMAT],
+  status: (printer) => queryEscPosStatus(printer),
+  async deliver(printer, job) {
+    const data = job.escposText ? Buffer.from(job.escposText, 'latin1') : await encodeEscPosRaster(job.content);
+    await sendEscPos(printer, data);
+    return { size: data.length };
+  },
+  async acknowledge(printer) {
+    // Paper ran out or the cover opened mid-ticket: print it again once the printer recovers
+    const status = await queryEscPosStatus(printer).catch(() => null);
+    if (status?.health === 'error') return { ok: false, code: status.problems.join(',').toUpperCase(), status };
+    return { ok: true, code: 'OK' };
+  },
+});
+
+// --------------------------
+// IPP (office and laser printers)
+// --------------------------
+registerTransport('ipp', {
+  pull: false,
+  renderModes: ['html'],
+  printer: ({ uri, documentFormat }) => (uri
+    ? { uri, format: documentFormat === IPP_FORMATS.PNG ? IPP_FORMATS.PNG : IPP_FORMATS.PDF }
+    : null),
+  capabilities: (printer) => [printer.format],
+  status: (printer) => getIppPrinterStatus(printer.uri),
+  async deliver(printer, job) {
+    const data = printer.format === IPP_FORMATS.PNG ? pngOnly(job.content) : await pngToPdf(job.content);
+    const ippJobId = await printIpp(printer.uri, data, {
+      format: printer.format,
+      jobName: `Order ${job.orderNumber || job.orderId || job.id}`,
+    });
+    return { ippJobId, size: data.length };
+  },
+  async acknowledge(printer, job, { ippJobId }, { keepAlive } = {}) {
+    const { state, reasons } = await waitForIppJob(printer.uri, ippJobId, { onPoll: keepAlive });
+    if (state === 'completed') return { ok: true, code: 'OK' };
+    return { ok: false, code: `IPP_${state.toUpperCase()}${reasons.length ? `:${reasons.join(',')}` : ''}` };
+  },
+});
+
+// --------------------------
+// File sink (writes each ticket to a directory; for testing and archiving)
+// --------------------------
+registerTransport('file', {
+  pull: false,
+  renderModes: ['html', 'markup', 'text'],
+  printer: ({ dir }) => (dir ? { dir } : null),
+  capabilities: () => [MEDIA_TYPES.PNG, MEDIA_TYPES.MARKUP, ESCPOS_FORMAT],
+  async status(printer) {
+    await fs.promises.mkdir(printer.dir, { recursive: true });
+    await fs.promises.access(printer.dir, fs.constants.W_OK);
+    return null;
+  },
+  async deliver(printer, job) {
+    const [ext, data] = job.markup ? ['stm', Buffer.from(job.markup, 'utf8')]
+      : job.escposText ? ['bin', Buffer.from(job.escposText, 'latin1')]
+      : ['png', pngOnly(job.content)];
+    const file = path.join(printer.dir, `${job.id}.${ext}`);
+    await fs.promises.writeFile(file, data);
+    return { file, size: data.length };
+  },
+  async acknowledge() {
+    return { ok: true, code: 'OK' };
+  },
+});
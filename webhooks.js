@@ -0,0 +1,253 @@
+// webhooks.js
+// Outbound webhooks for print outcomes (completed / failed / timed out).
+// Subscriptions are scoped to a restaurant and/or environment, persisted to a
+// JSON file, and every delivery is HMAC-signed and retried with backoff.
+import http from 'http';
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || './data/webhooks.json';
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const BASE_BACKOFF_MS = 2_000; // 2s, 4s, 8s, ... between attempts
+const MAX_BACKOFF_MS = 5 * 60_000;
+const REQUEST_TIMEOUT_MS = 10_000;
+const MAX_LOGGED_DELIVERIES = 500;
+
+// Webhooks can't target the service's own network (loopback, private ranges, cloud metadata);
+// WEBHOOK_ALLOW_PRIVATE=true lifts that for testing against a local receiver
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+
+export const WEBHOOK_EVENTS = ['print.completed', 'print.failed', 'print.timeout'];
+
+const subscriptions = new Map(); // id -> subscription
+const deliveryLog = []; // newest first
+
+function persist() {
+  try {
+    fs.mkdirSync(path.dirname(WEBHOOKS_FILE), { recursive: true });
+    fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify(Array.from(subscriptions.values()), null, 2));
+  } catch (error) {
+    console.error('[webhooks] Failed to save subscriptions:', error.message);
+  }
+}
+
+/**
+ * Load persisted subscriptions (call once at boot)
+ */
+export function loadWebhooks() {
+  subscriptions.clear();
+  if (!fs.existsSync(WEBHOOKS_FILE)) return;
+  try {
+    const list = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
+    for (const sub of list) subscriptions.set(sub.id, sub);
+    console.log(`[webhooks] Loaded ${subscriptions.size} subscription(s)`);
+  } catch (error) {
+    console.error('[webhooks] Failed to read subscriptions:', error.message);
+  }
+}
+
+/** Hide the signing secret when listing subscriptions */
+function toPublicSubscription(sub) {
+  const { secret, ...rest } = sub;
+  return { ...rest, secret: `${String(secret ?? '').slice(0, 4)}…` };
+}
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE_TARGETS) return false;
+  return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// URL hostname without the brackets around IPv6 literals
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+// dns.lookup that refuses private addresses, so a public name can't be re-pointed inward later
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+export function listWebhooks() {
+  return Array.from(subscriptions.values()).map(toPublicSubscription);
+}
+
+/**
+ * Register a webhook subscription
+ * @param {Object} params
+ * @param {string} params.url - http(s) endpoint to POST to
+ * @param {string} params.restaurantId - only fire for this restaurant (optional)
+ * @param {string} params.environment - only fire for this environment (optional)
+ * @param {string[]} params.events - subset of WEBHOOK_EVENTS (optional, default all)
+ * @param {string} params.secret - HMAC secret (optional, generated if missing)
+ * @returns {Object} the subscription, including its secret
+ */
+export function addWebhook({ url, restaurantId = null, environment = null, events, secret } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('url must be a valid URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('url must use http or https');
+  }
+  const host = hostOf(parsed).toLowerCase();
+  if (!ALLOW_PRIVATE_TARGETS && (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host)))) {
+    throw new Error('url must not point at a loopback or private address');
+  }
+  if (events !== undefined && !Array.isArray(events)) throw new Error('events must be an array');
+  if (secret !== undefined && (typeof secret !== 'string' || !secret)) throw new Error('secret must be a non-empty string');
+  const wanted = events?.length ? events : WEBHOOK_EVENTS;
+  const unknown = wanted.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`Unknown event(s): ${unknown.join(', ')}`);
+
+  const sub = {
+    id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+    url: parsed.toString(),
+    restaurantId,
+    environment,
+    events: wanted,
+    secret: secret || crypto.randomBytes(24).toString('hex'),
+    createdAt: new Date().toISOString(),
+  };
+  subscriptions.set(sub.id, sub);
+  persist();
+  return sub;
+}
+
+export function removeWebhook(id) {
+  const existed = subscriptions.delete(id);
+  if (existed) persist();
+  return existed;
+}
+
+export function getWebhookDeliveries(subscriptionId) {
+  return deliveryLog.filter(d => d.subscriptionId === subscriptionId);
+}
+
+function matches(sub, type, data) {
+  if (!sub.events.includes(type)) return false;
+  if (sub.restaurantId && sub.restaurantId !== data.restaurantId) return false;
+  if (sub.environment && sub.environment !== data.environment) return false;
+  return true;
+}
+
+/**
+ * Sign a payload: hex HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Fan an event out to every matching subscription. Never throws.
+ * @param {string} type - one of WEBHOOK_EVENTS
+ * @param {Object} data - event payload (restaurantId / environment are used for matching)
+ * @param {Object} options - { only: subscriptionId } to target one subscription (test pings)
+ */
+export function dispatchWebhook(type, data, { only = null } = {}) {
+  for (const sub of subscriptions.values()) {
+    if (only ? sub.id !== only : !matches(sub, type, data)) continue;
+
+    const delivery = {
+      id: `dl_${crypto.randomBytes(6).toString('hex')}`,
+      subscriptionId: sub.id,
+      event: type,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      attempts: [],
+    };
+    deliveryLog.unshift(delivery);
+    if (deliveryLog.length > MAX_LOGGED_DELIVERIES) deliveryLog.length = MAX_LOGGED_DELIVERIES;
+
+    const body = JSON.stringify({ id: delivery.id, type, timestamp: delivery.createdAt, data });
+    attemptDelivery(sub, delivery, body);
+  }
+}
+
+async function attemptDelivery(sub, delivery, body) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+  const attempt = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+  try {
+    attempt.statusCode = await postJson(sub.url, body, {
+      'X-Vessale-Event': delivery.event,
+      'X-Vessale-Delivery': delivery.id,
+      'X-Vessale-Timestamp': timestamp,
+      'X-Vessale-Signature': `sha256=${signPayload(sub.secret, timestamp, body)}`,
+    });
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+    delivery.status = 'delivered';
+    return;
+  }
+
+  if (delivery.attempts.length >= MAX_ATTEMPTS || !subscriptions.has(sub.id)) {
+    delivery.status = 'failed';
+    console.warn('[webhooks] Giving up on delivery', { id: delivery.id, url: sub.url, attempts: delivery.attempts.length });
+    return;
+  }
+
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (delivery.attempts.length - 1), MAX_BACKOFF_MS);
+  delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+  setTimeout(() => attemptDelivery(sub, delivery, body), backoff).unref();
+}
+
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const host = hostOf(target);
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      reject(new Error(`${host} is a private address`));
+      return;
+    }
+
+    const req = client.request(target, {
+      method: 'POST',
+      lookup: publicLookup,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'vessale-printstation-webhooks',
+        ...headers,
+      },
+    }, (res) => {
+      res.resume(); // we only care about the status code
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('error', reject);
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    req.write(body);
+    req.end();
+  });
+}